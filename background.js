@@ -1,156 +1,146 @@
 // background.js - MV3 Service Worker
 // 负责：
 // 1. 接收内容脚本消息
-// 2. 调用翻译 / 字典 API（跨域）
-// 3. 维护内存缓存，减少重复请求
-
-// 默认配置（与 options 同步，防御性兜底）
-const DEFAULT_SETTINGS = {
-  provider: "auto", // auto | libre | mymemory
-  theme: "auto",    // 仅内容脚本使用，这里只透传
-  ttsRate: 1.0,
-  ttsVoice: "auto",   // auto | en-US | en-GB
-  showPronounce: true
-};
-
-// 内存缓存（仅当前浏览器会话生效）
-// 键："providerKey::text"
-const translationCache = new Map();
-// 键："DICT::word"
-const dictCache = new Map();
-
-// 读取用户设置（从 chrome.storage.sync），失败时使用默认值
-function getUserSettings() {
-  return new Promise((resolve) => {
-    try {
-      chrome.storage.sync.get("settings", (result) => {
-        if (chrome.runtime.lastError) {
-          console.warn("读取设置失败，使用默认设置", chrome.runtime.lastError);
-          resolve({ ...DEFAULT_SETTINGS });
-          return;
-        }
-        const stored = result.settings || {};
-        const settings = {
-          provider: stored.provider || DEFAULT_SETTINGS.provider,
-          theme: stored.theme || DEFAULT_SETTINGS.theme,
-          ttsRate:
-            typeof stored.ttsRate === "number" && !Number.isNaN(stored.ttsRate)
-              ? stored.ttsRate
-              : DEFAULT_SETTINGS.ttsRate,
-          ttsVoice: stored.ttsVoice || DEFAULT_SETTINGS.ttsVoice,
-          showPronounce:
-            typeof stored.showPronounce === "boolean"
-              ? stored.showPronounce
-              : DEFAULT_SETTINGS.showPronounce
-        };
-        resolve(settings);
-      });
-    } catch (e) {
-      console.error("读取设置出现异常", e);
-      resolve({ ...DEFAULT_SETTINGS });
-    }
-  });
-}
-
-// 根据设置得到翻译 provider 调用顺序
-function getProvidersOrder(providerSetting) {
-  switch (providerSetting) {
-    case "libre":
-      return ["libre"];
-    case "mymemory":
-      return ["mymemory"];
-    case "auto":
-    default:
-      return ["libre", "mymemory"]; // 默认：优先 LibreTranslate，失败回退 MyMemory
+// 2. 调用翻译 / 字典 API（跨域），带超时、重试与按 Provider 的熔断，并记录诊断数据
+// 3. 维护持久化缓存（IndexedDB），减少重复请求；单词优先查询内置离线词典，查不到时按词形还原后的原形再查
+// 4. 读写生词本、查词历史与查过的单词（chrome.storage.local）
+// 5. 生词间隔复习调度，并在工具栏图标上显示到期数量
+// 6. 注册右键菜单，并将右键菜单与键盘快捷键转发给当前标签页的内容脚本
+
+importScripts(
+  "languages.js",
+  "providers.js",
+  "siteRules.js",
+  "settingsStore.js",
+  "circuitBreaker.js",
+  "diagnostics.js",
+  "cacheStore.js",
+  "offlineDict.js",
+  "lemmatizer.js",
+  "wordbookStore.js",
+  "historyStore.js",
+  "lookedUpWords.js",
+  "srs.js"
+);
+
+const REVIEW_BADGE_ALARM = "review-badge";
+const CONTEXT_MENU_TRANSLATE = "dtp-translate-selection";
+const OFFLINE_DICT_PROVIDER_NAME = "离线词典";
+// 对比模式中离线词典结果的 id（可被标记为首选）
+const OFFLINE_DICT_PROVIDER_ID = "offline";
+// 在线词典在熔断器与诊断记录中的 id（与翻译 Provider 共用一套逻辑）
+const DICTIONARY_CIRCUIT_ID = "dictionary";
+// “测试连接”使用的示例文本
+const CONNECTION_TEST_TEXT = "hello world";
+const CONNECTION_TEST_WORD = "hello";
+
+// 持久化缓存键（见 cacheStore.js）：
+// - 翻译："providerKey::source>target::text"
+// - 字典："DICT::word"
+
+// 解析本次翻译的源语言与目标语言
+// 源语言为 auto 时先按字符集、再用浏览器内置的语言检测判断（见 detectLanguageAsync()），
+// 仍无法确定时保持 "auto"，交给支持自动检测的接口自行判断（见 canTranslateFrom()）
+async function resolveLanguagePair(text, message, settings) {
+  let source = message.sourceLang || settings.sourceLang || DEFAULT_SOURCE_LANG;
+  if (source === "auto") {
+    source = (await detectLanguageAsync(text)) || "auto";
   }
+  const target = getLanguage(message.targetLang)
+    ? message.targetLang
+    : settings.targetLang;
+  return { source, target };
 }
 
-// 调用 LibreTranslate 公共实例
-async function translateWithLibre(text) {
-  // 这里选择 libretranslate.de 公共实例
-  const url = "https://libretranslate.de/translate";
-  const payload = {
-    q: text,
-    source: "en",
-    target: "zh",
-    format: "text"
-  };
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(payload)
-  });
-
-  if (!response.ok) {
-    throw new Error("LibreTranslate HTTP " + response.status);
-  }
-
-  const data = await response.json();
-  // 不同公共实例字段可能略有差异，做兼容处理
-  const translated = data.translatedText || data.translation || data.translated_text;
-  if (!translated) {
-    throw new Error("LibreTranslate 未返回翻译结果");
+// 每个词性最多保留的释义条数，以及近义词 / 反义词个数
+const DICT_MAX_DEFINITIONS = 6;
+const DICT_MAX_RELATED_WORDS = 8;
+// 在线词典按候选原形重试的最多次数（每次都是一次网络请求）
+const DICT_MAX_LEMMA_ATTEMPTS = 3;
+
+// 去重并过滤空字符串，最多保留 limit 个
+function mergeUniqueWords(target, source, limit) {
+  const list = Array.isArray(target) ? target.slice() : [];
+  if (!Array.isArray(source)) return list;
+  for (const w of source) {
+    if (list.length >= limit) break;
+    if (typeof w === "string" && w.trim() && !list.includes(w.trim())) {
+      list.push(w.trim());
+    }
   }
-
-  return {
-    translation: translated,
-    provider: "LibreTranslate"
-  };
+  return list;
 }
 
-// 调用 MyMemory 翻译
-async function translateWithMyMemory(text) {
-  const url =
-    "https://api.mymemory.translated.net/get?q=" +
-    encodeURIComponent(text) +
-    "&langpair=en|zh-CN";
-
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error("MyMemory HTTP " + response.status);
-  }
+// 合并所有词条中的释义，按词性归类
+// 返回 [{ partOfSpeech, definitions: [{ definition, example, synonyms, antonyms }], synonyms, antonyms }]
+function parseDictionaryMeanings(data) {
+  const groups = new Map();
+
+  for (const entry of data) {
+    const meanings = Array.isArray(entry && entry.meanings) ? entry.meanings : [];
+    for (const m of meanings) {
+      if (!m) continue;
+      const pos =
+        typeof m.partOfSpeech === "string" && m.partOfSpeech.trim()
+          ? m.partOfSpeech.trim()
+          : "other";
+
+      let group = groups.get(pos);
+      if (!group) {
+        group = { partOfSpeech: pos, definitions: [], synonyms: [], antonyms: [] };
+        groups.set(pos, group);
+      }
 
-  const data = await response.json();
-  let translated =
-    data?.responseData?.translatedText ||
-    (Array.isArray(data?.matches) && data.matches.length > 0
-      ? data.matches[0].translation
-      : "");
+      const definitions = Array.isArray(m.definitions) ? m.definitions : [];
+      for (const d of definitions) {
+        if (group.definitions.length >= DICT_MAX_DEFINITIONS) break;
+        if (!d || typeof d.definition !== "string" || !d.definition.trim()) continue;
+        group.definitions.push({
+          definition: d.definition.trim(),
+          example: typeof d.example === "string" && d.example.trim() ? d.example.trim() : null,
+          synonyms: mergeUniqueWords([], d.synonyms, DICT_MAX_RELATED_WORDS),
+          antonyms: mergeUniqueWords([], d.antonyms, DICT_MAX_RELATED_WORDS)
+        });
+      }
 
-  if (!translated) {
-    throw new Error("MyMemory 未返回翻译结果");
+      group.synonyms = mergeUniqueWords(group.synonyms, m.synonyms, DICT_MAX_RELATED_WORDS);
+      group.antonyms = mergeUniqueWords(group.antonyms, m.antonyms, DICT_MAX_RELATED_WORDS);
+    }
   }
 
-  return {
-    translation: translated,
-    provider: "MyMemory"
-  };
+  return Array.from(groups.values()).filter((g) => g.definitions.length > 0);
 }
 
-// 调用 Free Dictionary API 获取单词音标和音频
-async function fetchDictionary(word) {
+// 调用 Free Dictionary API 获取单词音标、音频与释义
+// requestConfig: applyRequestPolicy() 生成的超时与重试参数
+async function fetchDictionary(word, requestConfig) {
   const lower = word.toLowerCase();
   const url =
     "https://api.dictionaryapi.dev/api/v2/entries/en/" +
     encodeURIComponent(lower);
 
-  const response = await fetch(url);
+  const response = await fetchJsonWithRetry(url, undefined, requestConfig);
 
+  if (response.status === 404) {
+    // 未收录（常见于变形词），交给调用方按原形重试
+    return null;
+  }
   if (!response.ok) {
-    // 404 等视为无词典结果，不抛致命错误
-    throw new Error("Dictionary HTTP " + response.status);
+    throw createHttpError("Dictionary", response.status);
   }
 
-  const data = await response.json();
+  const data = response.data;
   if (!Array.isArray(data) || data.length === 0) {
     throw new Error("Dictionary 响应格式异常");
   }
 
-  const entry = data[0] || {};
-  const phonetics = Array.isArray(entry.phonetics) ? entry.phonetics : [];
+  // 多个词条（如 "language" 返回两个）都可能带有音标 / 音频，依次扫描
+  const phonetics = [];
+  for (const entry of data) {
+    if (entry && Array.isArray(entry.phonetics)) {
+      phonetics.push(...entry.phonetics);
+    }
+  }
 
   let ipa = "";
   let audio = "";
@@ -162,6 +152,13 @@ async function fetchDictionary(word) {
       break;
     }
   }
+  // 回退到词条顶层的 phonetic 字段
+  if (!ipa) {
+    const withPhonetic = data.find(
+      (e) => e && typeof e.phonetic === "string" && e.phonetic.trim()
+    );
+    if (withPhonetic) ipa = withPhonetic.phonetic.trim();
+  }
 
   // 再找一个可用的音频链接
   for (const p of phonetics) {
@@ -171,93 +168,541 @@ async function fetchDictionary(word) {
     }
   }
 
-  if (!ipa && !audio) {
-    // 没有可用音标/音频时返回 null，让前端仅使用 TTS
+  const meanings = parseDictionaryMeanings(data);
+
+  if (!ipa && !audio && meanings.length === 0) {
+    // 没有可用音标/音频/释义时返回 null，让前端仅使用 TTS
     return null;
   }
 
   return {
     ipa: ipa || null,
-    audio: audio || null
+    audio: audio || null,
+    meanings
   };
 }
 
-// 统一处理翻译 + 字典
-async function handleTranslateAndDefine(message) {
-  const { text, isWord } = message;
+function createLemmaInfo(lemma, form) {
+  return { word: lemma, form, label: describeWordForm(form) };
+}
 
-  const settings = await getUserSettings();
-  const order = getProvidersOrder(settings.provider);
+// 在线词典查词：原词未收录时依次尝试词形还原的候选原形（running → run）
+async function fetchDictionaryWithLemma(word, requestConfig) {
+  const direct = await fetchDictionary(word, requestConfig);
+  if (direct) return direct;
 
-  let translationResult = null;
-  let lastError = null;
+  for (const c of getLemmaCandidates(word).slice(0, DICT_MAX_LEMMA_ATTEMPTS)) {
+    const r = await fetchDictionary(c.lemma, requestConfig);
+    if (r) {
+      return { ...r, lemma: createLemmaInfo(c.lemma, c.form) };
+    }
+  }
+  return null;
+}
 
-  // 按顺序尝试各个 Provider
-  for (const providerKey of order) {
-    const cacheKey = providerKey + "::" + text;
-    if (translationCache.has(cacheKey)) {
-      translationResult = translationCache.get(cacheKey);
-      break;
+// 离线词典查词：原词未收录时尝试候选原形，并用词条的变形信息核对
+// 返回 { entry, lemma }（原词直接命中时 lemma 为 null），都未命中时返回 null
+async function lookupOfflineWord(word) {
+  const direct = await offlineDictLookup(word);
+  if (direct) return { entry: direct, lemma: null };
+
+  const surface = word.toLowerCase();
+  for (const c of getLemmaCandidates(word)) {
+    const entry = await offlineDictLookup(c.lemma);
+    if (!entry) continue;
+    const form = resolveFormFromExchange(entry.exchange, surface, c.form);
+    if (!form) continue;
+    return { entry, lemma: createLemmaInfo(entry.word, form) };
+  }
+  return null;
+}
+
+// 调用单个 Provider（先查缓存），成功返回 { translation, provider }，失败返回 null
+// skipOpenCircuit：处于熔断冷却期时是否跳过网络请求
+async function translateWithProvider(text, pair, providerConfig, settings, skipOpenCircuit) {
+  const { source, target } = pair;
+  const cacheOptions = {
+    ttlHours: settings.cacheTtlHours,
+    maxEntries: settings.cacheMaxEntries
+  };
+  const cacheKey = providerConfig.id + "::" + source + ">" + target + "::" + text;
+  const cached = await cacheGet(cacheKey, { ...cacheOptions, kind: "translation" });
+  if (cached) {
+    recordProviderEvent({ provider: providerConfig.id, ok: true, cache: true });
+    return cached;
+  }
+
+  const adapter = getProviderAdapter(providerConfig.type);
+  if (!adapter || !canTranslateFrom(providerConfig, source)) return null;
+
+  if (skipOpenCircuit && !acquireCircuit(providerConfig.id)) {
+    console.warn("Provider 处于熔断冷却期，跳过", providerConfig.id);
+    return null;
+  }
+
+  const startedAt = Date.now();
+  try {
+    const result = await adapter.translate(
+      text,
+      { source, target },
+      applyRequestPolicy(providerConfig, settings)
+    );
+
+    if (result && result.translation) {
+      recordCircuitSuccess(providerConfig.id);
+      recordProviderEvent({
+        provider: providerConfig.id,
+        ok: true,
+        latency: Date.now() - startedAt
+      });
+      const entry = {
+        translation: result.translation,
+        provider: providerConfig.name
+      };
+      cacheSet(cacheKey, entry, cacheOptions);
+      return entry;
     }
+    recordCircuitFailure(providerConfig.id, settings);
+    recordProviderFailure(providerConfig.id, createEmptyResultError(providerConfig.name), startedAt);
+  } catch (err) {
+    console.warn("翻译 Provider 失败", providerConfig.id, err);
+    recordCircuitFailure(providerConfig.id, settings);
+    recordProviderFailure(providerConfig.id, err, startedAt);
+  }
+  return null;
+}
 
-    try {
-      let result = null;
-      if (providerKey === "libre") {
-        result = await translateWithLibre(text);
-      } else if (providerKey === "mymemory") {
-        result = await translateWithMyMemory(text);
-      }
+// 按顺序尝试各个 Provider，返回第一个成功的 { translation, provider }，全部失败时返回 null
+async function translateWithProviders(text, pair, order, settings) {
+  // 全部 Provider 都在熔断冷却期时仍照常尝试，避免完全不可用
+  const allOpen = order.every((p) => isCircuitOpen(p.id));
 
-      if (result && result.translation) {
-        translationCache.set(cacheKey, result);
-        translationResult = result;
-        break;
+  for (const providerConfig of order) {
+    const entry = await translateWithProvider(text, pair, providerConfig, settings, !allOpen);
+    if (entry) return entry;
+    // 继续尝试下一个 Provider
+  }
+  return null;
+}
+
+// 对比模式：并行查询全部 Provider，按顺序返回每个 Provider 的结果
+// 返回 [{ providerId, provider, translation, error }]，失败时 translation 为 null
+async function translateWithAllProviders(text, pair, order, settings) {
+  const allOpen = order.every((p) => isCircuitOpen(p.id));
+
+  return Promise.all(
+    order.map(async (providerConfig) => {
+      const unsupported = !canTranslateFrom(providerConfig, pair.source);
+      const skipped = !allOpen && isCircuitOpen(providerConfig.id);
+      const entry = await translateWithProvider(text, pair, providerConfig, settings, !allOpen);
+      let error = null;
+      if (!entry) {
+        error = unsupported ? "无法确定源语言" : skipped ? "连续失败，暂时跳过" : "翻译失败";
       }
-    } catch (err) {
-      console.warn("翻译 Provider 失败", providerKey, err);
-      lastError = err;
-      // 继续尝试下一个 Provider
+      return {
+        providerId: providerConfig.id,
+        provider: providerConfig.name,
+        translation: entry ? entry.translation : null,
+        error
+      };
+    })
+  );
+}
+
+// 统一处理翻译 + 字典
+// sender 为消息来源（网页浮层带标签页信息，用于记录查词历史的来源页面）
+async function handleTranslateAndDefine(message, sender) {
+  const { text } = message;
+
+  const settings = await getSettings();
+  // 工具栏弹窗可临时指定 Provider，覆盖设置中的选择
+  const order = getProvidersOrder(
+    message.provider ? { ...settings, provider: message.provider } : settings
+  );
+  const pair = await resolveLanguagePair(text, message, settings);
+  const { target } = pair;
+  // 单个单词通常无法可靠检测语言：离线英文词典收录了它（或它的原形）时按英文处理
+  const wordHit =
+    message.isWord && (pair.source === "en" || pair.source === "auto")
+      ? await lookupOfflineWord(text)
+      : null;
+  const source = pair.source === "auto" && wordHit ? "en" : pair.source;
+  // Free Dictionary API 与离线词典仅收录英文单词
+  const isWord = !!message.isWord && source === "en";
+
+  const cacheOptions = {
+    ttlHours: settings.cacheTtlHours,
+    maxEntries: settings.cacheMaxEntries
+  };
+
+  let translationResult = null;
+
+  // 离线词典只收录英译简体中文；弹窗临时指定 Provider 时尊重用户选择
+  const offlineHit =
+    isWord && settings.offlineDict && target === "zh" && !message.provider ? wordHit : null;
+  const offlineEntry = offlineHit ? offlineHit.entry : null;
+  if (offlineEntry) {
+    translationResult = {
+      translation: offlineEntry.translation,
+      provider: OFFLINE_DICT_PROVIDER_NAME
+    };
+  }
+
+  // 对比模式只用于网页浮层（消息带 compare 标记）；全文翻译与弹窗临时指定 Provider 时不对比
+  const compare = !!message.compare && settings.compareProviders && !message.provider;
+
+  // 单词所在的句子（内容脚本提取），与单词并行翻译，用于按语境理解多义词
+  const contextText =
+    message.isWord && typeof message.context === "string" ? message.context.trim() : "";
+  let wordRequest = null;
+  if (compare) {
+    // 对比模式总是列出全部 Provider，与设置中选择的单个 Provider 无关
+    wordRequest = translateWithAllProviders(
+      text,
+      { source, target },
+      getAllProviders(settings),
+      settings
+    );
+  } else if (!translationResult) {
+    // 离线词典命中时不再请求翻译接口
+    wordRequest = translateWithProviders(text, { source, target }, order, settings);
+  }
+  const [wordTranslation, contextTranslation] = await Promise.all([
+    wordRequest,
+    contextText && contextText !== text
+      ? translateWithProviders(contextText, { source, target }, order, settings)
+      : null
+  ]);
+
+  // 对比模式：离线词典结果排在最前；主译文优先取首选 Provider，不可用时取第一个成功的结果
+  let alternatives = null;
+  if (compare) {
+    alternatives = (
+      offlineEntry
+        ? [
+            {
+              providerId: OFFLINE_DICT_PROVIDER_ID,
+              provider: OFFLINE_DICT_PROVIDER_NAME,
+              translation: offlineEntry.translation,
+              error: null
+            }
+          ]
+        : []
+    ).concat(wordTranslation);
+    for (const row of alternatives) {
+      row.preferred = row.providerId === settings.preferredProvider;
     }
+    const main =
+      alternatives.find((row) => row.preferred && row.translation) ||
+      alternatives.find((row) => row.translation);
+    translationResult = main ? { translation: main.translation, provider: main.provider } : null;
+  } else {
+    translationResult = translationResult || wordTranslation;
   }
+  const context = contextTranslation
+    ? {
+        text: contextText,
+        translation: contextTranslation.translation,
+        provider: contextTranslation.provider
+      }
+    : null;
 
   // 字典查询（仅当选择的是单词时才查）
   let dictResult = null;
   if (isWord) {
     const dictKey = "DICT::" + text.toLowerCase();
-    if (dictCache.has(dictKey)) {
-      dictResult = dictCache.get(dictKey);
+    const cachedDict = await cacheGet(dictKey, { ...cacheOptions, kind: "dict" });
+    // 旧版本缓存只有音标与音频，缺少释义时重新查询
+    if (cachedDict && Array.isArray(cachedDict.meanings)) {
+      dictResult = cachedDict;
+      recordProviderEvent({ provider: DICTIONARY_CIRCUIT_ID, ok: true, cache: true });
+    } else if (offlineEntry) {
+      // 离线词典命中时不再请求在线词典，保证断网时也能即时返回
+      dictResult = { ipa: offlineEntry.ipa, audio: null, meanings: [] };
+    } else if (!acquireCircuit(DICTIONARY_CIRCUIT_ID)) {
+      console.warn("在线词典处于熔断冷却期，跳过");
     } else {
+      const startedAt = Date.now();
       try {
-        const r = await fetchDictionary(text);
+        const r = await fetchDictionaryWithLemma(
+          text,
+          applyRequestPolicy({ timeout: 0 }, settings)
+        );
+        recordCircuitSuccess(DICTIONARY_CIRCUIT_ID);
+        // 未收录（404）也说明服务正常
+        recordProviderEvent({
+          provider: DICTIONARY_CIRCUIT_ID,
+          ok: true,
+          latency: Date.now() - startedAt
+        });
         if (r) {
-          dictCache.set(dictKey, r);
+          cacheSet(dictKey, r, cacheOptions);
           dictResult = r;
         }
       } catch (err) {
         console.warn("字典查询失败（忽略）", err);
+        recordCircuitFailure(DICTIONARY_CIRCUIT_ID, settings);
+        recordProviderFailure(DICTIONARY_CIRCUIT_ID, err, startedAt);
         // 不阻断整体流程
       }
     }
   }
 
+  if (offlineEntry && dictResult) {
+    dictResult = {
+      ...dictResult,
+      ipa: dictResult.ipa || offlineEntry.ipa,
+      tags: offlineEntry.tags,
+      lemma: dictResult.lemma || offlineHit.lemma
+    };
+  }
+
   if (!translationResult) {
     return {
       success: false,
-      error: "翻译失败，请稍后重试。",
+      error: order.some((p) => canTranslateFrom(p, source))
+        ? "翻译失败，请稍后重试。"
+        : "无法确定源语言，请在设置中指定源语言，或使用支持自动检测的翻译服务（如 LibreTranslate）。",
       provider: null,
       translation: null,
-      dict: dictResult
+      dict: dictResult,
+      context,
+      alternatives,
+      sourceLang: source,
+      targetLang: target
     };
   }
 
+  // 只记录浮层与弹窗中的查询（消息带 recordHistory 标记），全文翻译的段落不记录
+  if (message.recordHistory && settings.recordHistory) {
+    const tab = sender && sender.tab;
+    // 单个单词同时记入“查过的单词”，供页面高亮使用
+    recordLookedUpWords([
+      {
+        text,
+        translation: translationResult.translation,
+        ipa: dictResult ? dictResult.ipa : null
+      }
+    ]);
+    recordHistoryEntry({
+      text,
+      translation: translationResult.translation,
+      provider: translationResult.provider,
+      sourceLang: source,
+      targetLang: target,
+      ipa: dictResult ? dictResult.ipa : null,
+      audio: dictResult ? dictResult.audio : null,
+      // 单词所在的句子即使译文失败也保留
+      context: contextText && contextText !== text ? contextText : "",
+      contextTranslation: context ? context.translation : "",
+      url: tab && /^https?:/.test(tab.url || "") ? tab.url : "",
+      title: tab ? tab.title || "" : ""
+    });
+  }
+
   return {
     success: true,
     translation: translationResult.translation,
     provider: translationResult.provider,
-    dict: dictResult || null
+    dict: dictResult || null,
+    context,
+    alternatives,
+    sourceLang: source,
+    targetLang: target
   };
 }
 
+// 选项页“测试连接”：绕过缓存与熔断直接请求一次，结果同样写入诊断记录
+// providerId: Provider id 或 DICTIONARY_CIRCUIT_ID
+async function testProviderConnection(providerId) {
+  const settings = await getSettings();
+  const startedAt = Date.now();
+
+  try {
+    let detail = "";
+    if (providerId === DICTIONARY_CIRCUIT_ID) {
+      const r = await fetchDictionary(
+        CONNECTION_TEST_WORD,
+        applyRequestPolicy({ timeout: 0 }, settings)
+      );
+      if (!r) {
+        throw new Error("Dictionary 未收录示例单词");
+      }
+      detail = CONNECTION_TEST_WORD + " " + (r.ipa || "");
+    } else {
+      const providerConfig = findProvider(settings, providerId);
+      const adapter = providerConfig && getProviderAdapter(providerConfig.type);
+      if (!adapter) {
+        throw new Error("Provider 不存在或已被删除");
+      }
+      // 目标语言为英文时改为译成中文，保证示例文本确实需要翻译
+      const target = isSameLanguageFamily(settings.targetLang, "en")
+        ? DEFAULT_TARGET_LANG
+        : settings.targetLang;
+      const result = await adapter.translate(
+        CONNECTION_TEST_TEXT,
+        { source: "en", target },
+        applyRequestPolicy(providerConfig, settings)
+      );
+      if (!result || !result.translation) {
+        throw createEmptyResultError(providerConfig.name);
+      }
+      detail = CONNECTION_TEST_TEXT + " → " + result.translation;
+    }
+
+    const latency = Date.now() - startedAt;
+    recordCircuitSuccess(providerId);
+    recordProviderEvent({ provider: providerId, ok: true, latency });
+    return { success: true, latency, detail };
+  } catch (err) {
+    console.warn("测试连接失败", providerId, err);
+    recordProviderFailure(providerId, err, startedAt);
+    const errorType = classifyProviderError(err);
+    return {
+      success: false,
+      latency: Date.now() - startedAt,
+      errorType,
+      error: FAILURE_TYPE_LABELS[errorType] + "：" + (err && err.message ? err.message : String(err))
+    };
+  }
+}
+
+// ------------------ 间隔复习 ------------------
+
+// 取出当前到期的复习卡片，最早到期的排在前面（未复习过的视为最早）
+async function getDueReviewCards(limit) {
+  const entries = await loadWordbook();
+  const now = Date.now();
+  const due = entries
+    .filter((e) => isReviewDue(e, now))
+    .sort((a, b) => {
+      const da = a.review ? a.review.due : a.createdAt;
+      const db = b.review ? b.review.due : b.createdAt;
+      return da - db;
+    });
+
+  return {
+    cards: typeof limit === "number" && limit > 0 ? due.slice(0, limit) : due,
+    dueCount: due.length,
+    total: entries.length
+  };
+}
+
+async function gradeReviewCard(id, quality) {
+  const entries = await loadWordbook();
+  const entry = entries.find((e) => e.id === id);
+  if (!entry) {
+    throw new Error("复习卡片不存在");
+  }
+
+  const review = gradeReviewState(entry.review, quality, Date.now());
+  // 通过 updateWordbookEntry 写回，保留其它字段
+  return updateWordbookEntry(id, { review });
+}
+
+// 在工具栏图标上显示到期卡片数量
+async function updateReviewBadge() {
+  try {
+    const entries = await loadWordbook();
+    const count = countDueEntries(entries, Date.now());
+    const text = count === 0 ? "" : count > 99 ? "99+" : String(count);
+    await chrome.action.setBadgeBackgroundColor({ color: "#2563eb" });
+    await chrome.action.setBadgeText({ text });
+  } catch (e) {
+    console.warn("更新复习角标失败", e);
+  }
+}
+
+function setupReviewAlarm() {
+  // 定期刷新角标，使复习时间到达后无需打开页面也能看到提示
+  chrome.alarms.create(REVIEW_BADGE_ALARM, { periodInMinutes: 15 });
+  updateReviewBadge();
+}
+
+// 首次安装（或从没有该功能的版本升级）时用已有的查词历史与生词本建立“查过的单词”
+// 只在存储中还没有该键时执行，避免用户清除后又被恢复
+function seedLookedUpWords() {
+  chrome.storage.local.get(LOOKED_UP_WORDS_STORAGE_KEY, async (result) => {
+    if (chrome.runtime.lastError || (result && result[LOOKED_UP_WORDS_STORAGE_KEY])) return;
+    const settings = await getSettings();
+    if (settings.recordHistory) {
+      await recordLookedUpWords(await loadHistory());
+    }
+    await syncStarredWords(await loadWordbook());
+  });
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  setupReviewAlarm();
+  setupContextMenus();
+  migrateStoredSettings();
+  seedLookedUpWords();
+  // 安装或更新时重新导入离线词典（数据随扩展版本更新）
+  ensureOfflineDictionary(true).catch((err) => {
+    console.warn("导入离线词典失败", err);
+  });
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  setupReviewAlarm();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm && alarm.name === REVIEW_BADGE_ALARM) {
+    updateReviewBadge();
+  }
+});
+
+// 生词本变化（新增、删除、复习评分）后同步角标与页面高亮中的生词标记
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[WORDBOOK_STORAGE_KEY]) {
+    updateReviewBadge();
+    syncStarredWords(changes[WORDBOOK_STORAGE_KEY].newValue);
+  }
+});
+
+// ------------------ 右键菜单与快捷键 ------------------
+
+function setupContextMenus() {
+  // 扩展更新时菜单仍然存在，先清空再创建，避免 id 重复报错
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_TRANSLATE,
+      title: "翻译选中文本",
+      contexts: ["selection"]
+    });
+  });
+}
+
+// 将命令转发给内容脚本；未指定 frameId 时发往标签页内所有 frame
+function sendCommandToTab(tabId, command, extra, frameId) {
+  const message = { type: "RUN_COMMAND", command, ...(extra || {}) };
+  const options = typeof frameId === "number" ? { frameId } : undefined;
+  chrome.tabs.sendMessage(tabId, message, options, () => {
+    // 受限页面（如 chrome://、应用商店）没有内容脚本，忽略错误
+    if (chrome.runtime.lastError) {
+      console.warn("转发命令失败", command, chrome.runtime.lastError);
+    }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_TRANSLATE || !tab || typeof tab.id !== "number") {
+    return;
+  }
+  sendCommandToTab(
+    tab.id,
+    "translate-selection",
+    { selectionText: info.selectionText || "" },
+    info.frameId
+  );
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || typeof tab.id !== "number") return;
+  sendCommandToTab(tab.id, command);
+});
+
 // 监听来自内容脚本的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || typeof message.type !== "string") {
@@ -265,7 +710,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === "TRANSLATE_AND_DEFINE") {
-    handleTranslateAndDefine(message)
+    handleTranslateAndDefine(message, sender)
       .then((result) => {
         sendResponse(result);
       })
@@ -284,5 +729,120 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "WORDBOOK_ADD") {
+    const entry = message.entry || {};
+    addWordbookEntry({
+      ...entry,
+      url: entry.url || (sender.tab && sender.tab.url) || "",
+      title: entry.title || (sender.tab && sender.tab.title) || ""
+    })
+      .then(({ entry: saved, created }) => {
+        sendResponse({ success: true, entry: saved, created });
+      })
+      .catch((err) => {
+        console.error("加入生词本失败", err);
+        sendResponse({ success: false, error: "加入生词本失败，请稍后重试。" });
+      });
+    return true;
+  }
+
+  if (message.type === "WORDBOOK_LOOKUP") {
+    findWordbookEntry(message.text)
+      .then((entry) => {
+        sendResponse({ success: true, entry });
+      })
+      .catch((err) => {
+        console.warn("查询生词本失败", err);
+        sendResponse({ success: false, entry: null });
+      });
+    return true;
+  }
+
+  if (message.type === "REVIEW_GET_DUE") {
+    getDueReviewCards(message.limit)
+      .then((result) => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch((err) => {
+        console.error("读取复习卡片失败", err);
+        sendResponse({ success: false, cards: [], dueCount: 0, total: 0 });
+      });
+    return true;
+  }
+
+  if (message.type === "REVIEW_GRADE") {
+    gradeReviewCard(message.id, message.quality)
+      .then((entry) => {
+        sendResponse({ success: true, entry });
+      })
+      .catch((err) => {
+        console.error("提交复习评分失败", err);
+        sendResponse({ success: false, error: "提交复习结果失败，请稍后重试。" });
+      });
+    return true;
+  }
+
+  if (message.type === "CACHE_STATS") {
+    cacheGetStats()
+      .then((result) => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch((err) => {
+        console.warn("读取缓存统计失败", err);
+        sendResponse({ success: false, error: "读取缓存统计失败" });
+      });
+    return true;
+  }
+
+  if (message.type === "OFFLINE_DICT_STATS") {
+    offlineDictGetStats()
+      .then((result) => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch((err) => {
+        console.warn("读取离线词典状态失败", err);
+        sendResponse({ success: false, error: "读取离线词典状态失败" });
+      });
+    return true;
+  }
+
+  if (message.type === "PROVIDER_DIAGNOSTICS") {
+    getProviderDiagnostics()
+      .then((result) => {
+        sendResponse({ success: true, ...result });
+      })
+      .catch((err) => {
+        console.warn("读取诊断记录失败", err);
+        sendResponse({ success: false, error: "读取诊断记录失败" });
+      });
+    return true;
+  }
+
+  if (message.type === "PROVIDER_TEST") {
+    testProviderConnection(message.providerId).then((result) => {
+      sendResponse(result);
+    });
+    return true;
+  }
+
+  if (message.type === "PROVIDER_DIAGNOSTICS_CLEAR") {
+    clearProviderLog().then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  if (message.type === "CACHE_CLEAR") {
+    cacheClear()
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch((err) => {
+        console.error("清空缓存失败", err);
+        sendResponse({ success: false, error: "清空缓存失败，请稍后重试。" });
+      });
+    return true;
+  }
+
   // 其他类型可在后续扩展
 });
@@ -0,0 +1,182 @@
+// cacheStore.js
+// 翻译 / 字典结果的持久化缓存（IndexedDB），在 background 中通过 importScripts 使用
+// - 服务进程（Service Worker）被挂起后缓存仍然保留
+// - 按最近访问时间做 LRU 淘汰，条目数上限与过期时间（TTL）由设置控制
+// - 命中统计按类别（translation / dict）累计，保存在 chrome.storage.local
+
+const CACHE_DB_NAME = "dtp-cache";
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = "entries";
+const CACHE_STATS_KEY = "cacheStats";
+
+let cacheDbPromise = null;
+
+// 统计数据先累计在内存中，稍后合并写入 storage，避免每次查询都写存储
+let pendingStats = {};
+let statsFlushTimer = null;
+
+function openCacheDb() {
+  if (cacheDbPromise) return cacheDbPromise;
+
+  cacheDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CACHE_STORE)) {
+        const store = db.createObjectStore(CACHE_STORE, { keyPath: "key" });
+        store.createIndex("lastAccess", "lastAccess");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      cacheDbPromise = null;
+      reject(request.error);
+    };
+  });
+  return cacheDbPromise;
+}
+
+// 将 IDBRequest 包装为 Promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function recordCacheStat(kind, hit) {
+  const stat = pendingStats[kind] || (pendingStats[kind] = { hits: 0, misses: 0 });
+  if (hit) {
+    stat.hits += 1;
+  } else {
+    stat.misses += 1;
+  }
+
+  if (!statsFlushTimer) {
+    statsFlushTimer = setTimeout(flushCacheStats, 2000);
+  }
+}
+
+function flushCacheStats() {
+  statsFlushTimer = null;
+  const delta = pendingStats;
+  pendingStats = {};
+
+  chrome.storage.local.get(CACHE_STATS_KEY, (result) => {
+    if (chrome.runtime.lastError) {
+      console.warn("读取缓存统计失败", chrome.runtime.lastError);
+      return;
+    }
+    const stats = result[CACHE_STATS_KEY] || {};
+    for (const kind of Object.keys(delta)) {
+      const prev = stats[kind] || { hits: 0, misses: 0 };
+      stats[kind] = {
+        hits: prev.hits + delta[kind].hits,
+        misses: prev.misses + delta[kind].misses
+      };
+    }
+    chrome.storage.local.set({ [CACHE_STATS_KEY]: stats });
+  });
+}
+
+// 读取缓存；过期条目视为未命中并删除
+// options: { kind: 统计类别, ttlHours: 过期时间（0 表示不过期） }
+async function cacheGet(key, options) {
+  const opts = options || {};
+  try {
+    const db = await openCacheDb();
+    const tx = db.transaction(CACHE_STORE, "readwrite");
+    const store = tx.objectStore(CACHE_STORE);
+    const record = await promisifyRequest(store.get(key));
+    const now = Date.now();
+
+    if (!record) {
+      recordCacheStat(opts.kind || "other", false);
+      return null;
+    }
+
+    const ttlMs = (opts.ttlHours || 0) * 60 * 60 * 1000;
+    if (ttlMs > 0 && now - record.createdAt > ttlMs) {
+      store.delete(key);
+      recordCacheStat(opts.kind || "other", false);
+      return null;
+    }
+
+    record.lastAccess = now;
+    record.hits = (record.hits || 0) + 1;
+    store.put(record);
+    recordCacheStat(opts.kind || "other", true);
+    return record.value;
+  } catch (e) {
+    console.warn("读取持久化缓存失败", e);
+    return null;
+  }
+}
+
+// 写入缓存，并按 LRU 淘汰超出上限的条目
+// options: { maxEntries }，未指定时使用 settingsStore.js 中的默认上限
+async function cacheSet(key, value, options) {
+  const opts = options || {};
+  const maxEntries =
+    typeof opts.maxEntries === "number" && opts.maxEntries > 0
+      ? opts.maxEntries
+      : DEFAULT_SETTINGS.cacheMaxEntries;
+
+  try {
+    const db = await openCacheDb();
+    const tx = db.transaction(CACHE_STORE, "readwrite");
+    const store = tx.objectStore(CACHE_STORE);
+    const now = Date.now();
+    store.put({ key, value, createdAt: now, lastAccess: now, hits: 0 });
+
+    const count = await promisifyRequest(store.count());
+    let excess = count - maxEntries;
+    if (excess > 0) {
+      // 按最近访问时间从旧到新删除
+      const cursorRequest = store.index("lastAccess").openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess -= 1;
+        cursor.continue();
+      };
+    }
+  } catch (e) {
+    console.warn("写入持久化缓存失败", e);
+  }
+}
+
+async function cacheClear() {
+  const db = await openCacheDb();
+  const tx = db.transaction(CACHE_STORE, "readwrite");
+  await promisifyRequest(tx.objectStore(CACHE_STORE).clear());
+
+  pendingStats = {};
+  await new Promise((resolve) => {
+    chrome.storage.local.remove(CACHE_STATS_KEY, () => resolve());
+  });
+}
+
+// 返回 { entries, stats: { translation: { hits, misses }, dict: { hits, misses } } }
+async function cacheGetStats() {
+  const db = await openCacheDb();
+  const tx = db.transaction(CACHE_STORE, "readonly");
+  const entries = await promisifyRequest(tx.objectStore(CACHE_STORE).count());
+
+  const stored = await new Promise((resolve) => {
+    chrome.storage.local.get(CACHE_STATS_KEY, (result) => {
+      resolve((result && result[CACHE_STATS_KEY]) || {});
+    });
+  });
+
+  // 合并尚未写入存储的统计
+  const stats = {};
+  for (const kind of new Set(Object.keys(stored).concat(Object.keys(pendingStats)))) {
+    const a = stored[kind] || { hits: 0, misses: 0 };
+    const b = pendingStats[kind] || { hits: 0, misses: 0 };
+    stats[kind] = { hits: a.hits + b.hits, misses: a.misses + b.misses };
+  }
+
+  return { entries, stats };
+}
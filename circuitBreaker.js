@@ -0,0 +1,63 @@
+// circuitBreaker.js
+// 按 Provider 的熔断器（在 background 中通过 importScripts 使用）
+// - 连续失败达到阈值后“断开”，冷却期内直接跳过该 Provider，避免每次查询都等待超时
+// - 冷却期过后只放行一次试探请求（半开，见 acquireCircuit()）：成功则恢复，失败则重新进入冷却；
+//   试探请求完成前其余请求仍然跳过
+// - 状态只保存在内存中，服务进程被挂起后自动重置
+// 阈值与冷却时间来自设置（见 providers.js 中的 DEFAULT_REQUEST_POLICY）
+
+// id → { failures, openUntil, probing }，probing 表示半开状态下的试探请求尚未完成
+const circuitStates = new Map();
+
+function getCircuitState(id) {
+  let state = circuitStates.get(id);
+  if (!state) {
+    state = { failures: 0, openUntil: 0, probing: false };
+    circuitStates.set(id, state);
+  }
+  return state;
+}
+
+// 是否应跳过：处于冷却期，或冷却期已过但试探请求尚未完成（不改变状态）
+function isCircuitOpen(id, now) {
+  const state = circuitStates.get(id);
+  if (!state || !state.openUntil) return false;
+  return state.openUntil > (now || Date.now()) || state.probing;
+}
+
+// 发出请求前调用：返回 false 时应跳过该 Provider
+// 冷却期过后第一个调用者成为试探请求，之后须以 recordCircuitSuccess / recordCircuitFailure 结束
+function acquireCircuit(id, now) {
+  const state = circuitStates.get(id);
+  if (!state || !state.openUntil) return true;
+  if (isCircuitOpen(id, now)) return false;
+  state.probing = true;
+  return true;
+}
+
+function recordCircuitSuccess(id) {
+  const state = getCircuitState(id);
+  state.failures = 0;
+  state.openUntil = 0;
+  state.probing = false;
+}
+
+// policy: normalizeRequestPolicy() 的返回值
+function recordCircuitFailure(id, policy) {
+  const state = getCircuitState(id);
+  state.probing = false;
+  state.failures += 1;
+  if (state.failures >= policy.circuitFailureThreshold) {
+    state.openUntil = Date.now() + policy.circuitCooldownSec * 1000;
+    console.warn("Provider 连续失败，暂时跳过", id, state.failures);
+  }
+}
+
+// 返回 { [id]: { failures, openUntil } }，供诊断页面展示
+function getCircuitSnapshot() {
+  const result = {};
+  for (const [id, state] of circuitStates) {
+    result[id] = { ...state };
+  }
+  return result;
+}
@@ -1,38 +1,31 @@
 // contentScript.js
 // 负责：
-// 1. 监听页面双击，读取选中文本并判断是否为英文
+// 1. 监听页面双击，读取选中文本并判断语言是否需要翻译；单词同时提取所在句子作为语境
+//    输入框与富文本编辑器中的选区同样支持，并可将原文替换为译文（见 editableText.js）
 // 2. 通过消息与 background 通信获取翻译和字典信息
-// 3. 在页面上创建 Shadow DOM 浮层，展示翻译、发音和来源
+// 3. 在页面上创建 Shadow DOM 浮层，展示翻译、发音和来源；对比模式下逐行展示各翻译服务的结果
 // 4. 使用 Web Speech API 播放 TTS，失败时回退到字典音频
-
-// 默认设置，与 background / options 对应
-const DEFAULT_SETTINGS = {
-  provider: "auto",
-  theme: "auto", // light | dark | auto
-  ttsRate: 1.0,
-  ttsVoice: "auto", // auto | en-US | en-GB
-  showPronounce: true,
-  autoPopupOnSelect: true
-};
-
+// 5. 将当前查询结果加入生词本（由 background 写入 chrome.storage.local）
+// 6. 响应右键菜单与键盘快捷键（由 background 转发 RUN_COMMAND）
+// 7. 按网站规则（siteRules.js）停用双击 / 划词触发，避免与网页自身的双击操作冲突
+// 8. 按住修饰键悬停取词（见 hoverTranslate.js）；浮层结果可固定为可拖动、可调整大小的卡片，支持同时固定多张（见 pinnedCards.js）
+// 9. 浮层的键盘与读屏支持：对话框语义、焦点管理（可选打开时聚焦、焦点限制在浮层内、关闭后归还）、
+//    结果通过 ARIA 实时区域播报，浮层内 C 复制、P 播放、R 替换为译文
+
+// 设置定义（默认值、校验）见 settingsStore.js
 let userSettings = { ...DEFAULT_SETTINGS };
 
-// TTS 相关状态
-const speechSupported =
-  typeof window !== "undefined" &&
-  "speechSynthesis" in window &&
-  typeof window.SpeechSynthesisUtterance === "function";
-
-let voices = [];
-let voicesLoaded = false;
-
 // 当前浮层数据（用于复制与播放）
 let currentData = {
   text: "",
   translation: "",
   provider: "",
   ipa: null,
-  audio: null
+  audio: null,
+  sourceLang: "",
+  targetLang: "",
+  context: null, // { text, translation }：单词所在句子及其译文
+  alternatives: null // 对比模式下各 Provider 的结果 [{ providerId, provider, translation, error, preferred }]
 };
 
 // 浮层相关 DOM 与 ShadowRoot 引用
@@ -44,19 +37,30 @@ let ui = {
   headerText: null,
   btnCopy: null,
   btnClose: null,
+  btnPin: null,
+  btnReplace: null,
   translation: null,
   translationLabel: null,
+  compare: null,
+  context: null,
+  contextSource: null,
+  contextTranslation: null,
   pronunciation: null,
   btnPlay: null,
+  btnSave: null,
   ipa: null,
+  dict: null,
+  dictBody: null,
   provider: null,
-  error: null
+  error: null,
+  live: null
 };
 
-let systemDarkMedia = null;
+// 浮层获得焦点前页面上的焦点元素与选区，关闭浮层时归还
+let focusBeforeOverlay = null;
+let rangeBeforeOverlay = null;
 
-// 音频回退元素（播放字典音频）
-let audioElement = null;
+let systemDarkMedia = null;
 
 // 最近一次用于定位的选区矩形与事件坐标
 // - 优先使用 range.getClientRects() 中“最后一个可见片段”作为浮层锚点
@@ -65,36 +69,39 @@ let lastSelectionRect = null;
 let lastClickClientX = 0;
 let lastClickClientY = 0;
 
+// 提取单词所在句子（翻译语境）时查找的块级容器，以及句子的最大长度
+const CONTEXT_BLOCK_SELECTOR =
+  "p, li, h1, h2, h3, h4, h5, h6, blockquote, dd, dt, td, th, figcaption, pre, article, section, div, body";
+const CONTEXT_MAX_LENGTH = 300;
+// 句子边界：英文句末标点后接空白，或中文句末标点
+const SENTENCE_BOUNDARY_SOURCE = "[.!?](?=\\s)|[。！？]";
+
 // 最近一次触发翻译的时间与文本，用于防止短时间内重复触发
 let lastTriggerAt = 0;
 let lastTriggerText = "";
 // 当前最新翻译请求的自增编号，用于丢弃过期响应
 let currentRequestId = 0;
+// 当前浮层的原文来自输入框 / 可编辑区域时记录其位置，用于“替换为译文”（见 editableText.js）
+let editableTarget = null;
 
 // 初始化逻辑
 initSettings();
 initVoices();
 setupGlobalListeners();
+setupCommandListener();
 
 // ------------------ 设置与主题 ------------------
 
 function initSettings() {
   try {
-    chrome.storage.sync.get("settings", (result) => {
-      if (chrome.runtime.lastError) {
-        console.warn("内容脚本读取设置失败，使用默认值", chrome.runtime.lastError);
-        userSettings = { ...DEFAULT_SETTINGS };
-        return;
-      }
-      userSettings = normalizeSettings(result.settings || {});
+    getSettings().then((settings) => {
+      userSettings = settings;
       applyTheme();
     });
 
-    chrome.storage.onChanged.addListener((changes, area) => {
-      if (area === "sync" && changes.settings) {
-        userSettings = normalizeSettings(changes.settings.newValue || {});
-        applyTheme();
-      }
+    onSettingsChanged((settings) => {
+      userSettings = settings;
+      applyTheme();
     });
   } catch (e) {
     console.error("内容脚本读取设置出现异常", e);
@@ -109,26 +116,6 @@ function initSettings() {
   }
 }
 
-function normalizeSettings(raw) {
-  return {
-    provider: raw.provider || DEFAULT_SETTINGS.provider,
-    theme: raw.theme || DEFAULT_SETTINGS.theme,
-    ttsRate:
-      typeof raw.ttsRate === "number" && !Number.isNaN(raw.ttsRate)
-        ? raw.ttsRate
-        : DEFAULT_SETTINGS.ttsRate,
-    ttsVoice: raw.ttsVoice || DEFAULT_SETTINGS.ttsVoice,
-    showPronounce:
-      typeof raw.showPronounce === "boolean"
-        ? raw.showPronounce
-        : DEFAULT_SETTINGS.showPronounce,
-    autoPopupOnSelect:
-      typeof raw.autoPopupOnSelect === "boolean"
-        ? raw.autoPopupOnSelect
-        : DEFAULT_SETTINGS.autoPopupOnSelect
-  };
-}
-
 function getEffectiveTheme() {
   const t = userSettings.theme || "auto";
   if (t === "light" || t === "dark") return t;
@@ -145,48 +132,12 @@ function applyTheme() {
   ui.overlay.classList.add(
     theme === "dark" ? "dtp-theme-dark" : "dtp-theme-light"
   );
+  applyPinnedCardsTheme(theme);
 }
 
 // ------------------ 语音（TTS） ------------------
 
-function initVoices() {
-  if (!speechSupported) return;
-
-  function loadVoices() {
-    const list = window.speechSynthesis.getVoices();
-    if (Array.isArray(list) && list.length > 0) {
-      voices = list;
-      voicesLoaded = true;
-    }
-  }
-
-  loadVoices();
-
-  // 某些浏览器需要等待 voiceschanged 事件才有语音列表
-  window.speechSynthesis.onvoiceschanged = () => {
-    loadVoices();
-  };
-}
-
-function getPreferredVoice() {
-  if (!voicesLoaded || !voices.length) return null;
-
-  const pref = userSettings.ttsVoice || "auto";
-
-  const candidates = [];
-  if (pref === "en-US" || pref === "en-GB") {
-    candidates.push((v) => v.lang === pref);
-  }
-  // 退而求其次：任何英文语音
-  candidates.push((v) => v.lang && v.lang.toLowerCase().startsWith("en"));
-
-  for (const check of candidates) {
-    const voice = voices.find(check);
-    if (voice) return voice;
-  }
-
-  return null;
-}
+// 语音列表、朗读与字典音频回退见 tts.js（与复习页面共用）
 
 function handlePlayClick() {
   let text =
@@ -197,74 +148,13 @@ function handlePlayClick() {
   }
   if (!text) return;
 
-  // 针对全大写缩略词（2~10 位），按字母逐个朗读
-  let speakText = text;
-  if (/^[A-Z]{2,10}$/.test(text)) {
-    speakText = text.split("").join(" ");
-  }
-
-  // 优先尝试 Web Speech API TTS
-  if (speechSupported) {
-    try {
-      const utterance = new window.SpeechSynthesisUtterance(speakText);
-      const rate =
-        typeof userSettings.ttsRate === "number" && !Number.isNaN(userSettings.ttsRate)
-          ? userSettings.ttsRate
-          : 1.0;
-      utterance.rate = rate;
-
-      const preferredVoice = getPreferredVoice();
-      if (preferredVoice) {
-        utterance.voice = preferredVoice;
-        if (preferredVoice.lang) {
-          utterance.lang = preferredVoice.lang;
-        }
-      } else {
-        // 没有匹配到时，按设置大类选择
-        utterance.lang =
-          userSettings.ttsVoice === "en-GB"
-            ? "en-GB"
-            : "en-US";
-      }
-
-      utterance.onerror = (event) => {
-        console.warn("TTS 播放出错，尝试回退到字典音频", event);
-        if (currentData.audio) {
-          playDictionaryAudio(currentData.audio);
-        }
-      };
-
-      // 若已有语音播放，先取消以避免重叠
-      window.speechSynthesis.cancel();
-      window.speechSynthesis.speak(utterance);
-      return;
-    } catch (e) {
-      console.warn("TTS 调用失败，尝试回退到字典音频", e);
-    }
-  }
-
-  // 回退到字典音频
-  if (currentData.audio) {
-    playDictionaryAudio(currentData.audio);
-  } else {
-    console.warn("无可用音频用于播放");
-  }
-}
-
-function playDictionaryAudio(url) {
-  try {
-    if (!audioElement) {
-      audioElement = document.createElement("audio");
-      audioElement.style.display = "none";
-      document.documentElement.appendChild(audioElement);
-    }
-    audioElement.src = url;
-    audioElement.play().catch((err) => {
-      console.warn("播放字典音频失败", err);
-    });
-  } catch (e) {
-    console.warn("创建/播放音频元素失败", e);
-  }
+  const lang = getLanguage(currentData.sourceLang);
+  speakText(text, {
+    rate: userSettings.ttsRate,
+    voice: userSettings.ttsVoice,
+    lang: lang ? lang.tts : "en-US",
+    audio: currentData.audio
+  });
 }
 
 // ------------------ 浮层 UI 与 Shadow DOM ------------------
@@ -294,20 +184,36 @@ function ensureOverlayCreated() {
   wrapper.style.display = "none";
 
   wrapper.innerHTML = `
-    <div class="dtp-overlay dtp-theme-light">
-      <button class="dtp-close" type="button" aria-label="关闭">×</button>
+    <div class="dtp-overlay dtp-theme-light" role="dialog" aria-modal="false"
+      aria-labelledby="dtp-header-text" aria-describedby="dtp-translation" tabindex="-1">
+      <button class="dtp-close" type="button" aria-label="关闭（Esc）">×</button>
+      <button class="dtp-pin" type="button" aria-label="固定为卡片" title="固定为卡片（可拖动，点击页面不会关闭）" disabled>📌</button>
       <div class="dtp-header">
-        <div class="dtp-header-text" title=""></div>
+        <div class="dtp-header-text" id="dtp-header-text" title=""></div>
       </div>
       <div class="dtp-body">
-        <div class="dtp-translation-label">中文翻译</div>
-        <div class="dtp-translation" data-placeholder="正在翻译..."></div>
+        <div class="dtp-translation-label"></div>
+        <div class="dtp-translation" id="dtp-translation" data-placeholder="正在翻译..."></div>
+        <div class="dtp-compare"></div>
+        <div class="dtp-context">
+          <div class="dtp-context-label">语境</div>
+          <div class="dtp-context-source"></div>
+          <div class="dtp-context-translation"></div>
+        </div>
         <div class="dtp-pronunciation">
           <span class="dtp-ipa"></span>
         </div>
+        <div class="dtp-lemma"></div>
+        <div class="dtp-word-tags"></div>
+        <details class="dtp-dict">
+          <summary class="dtp-dict-summary">词典释义</summary>
+          <div class="dtp-dict-body"></div>
+        </details>
         <div class="dtp-actions">
-          <button class="dtp-action-btn dtp-action-copy" type="button">复制原文</button>
-          <button class="dtp-action-btn dtp-action-play" type="button">▶ 播放</button>
+          <button class="dtp-action-btn dtp-action-copy" type="button" aria-keyshortcuts="C" title="快捷键 C">复制原文</button>
+          <button class="dtp-action-btn dtp-action-play" type="button" aria-keyshortcuts="P" title="快捷键 P">▶ 播放</button>
+          <button class="dtp-action-btn dtp-action-save" type="button" disabled>☆ 加入生词本</button>
+          <button class="dtp-action-btn dtp-action-replace" type="button" aria-keyshortcuts="R" title="快捷键 R">⇄ 替换为译文</button>
         </div>
         <div class="dtp-provider"></div>
         <div class="dtp-error"></div>
@@ -315,7 +221,15 @@ function ensureOverlayCreated() {
     </div>
   `;
 
+  // 实时区域放在浮层外：浮层隐藏（display: none）时其中的内容变化不会被读屏软件播报
+  const live = document.createElement("div");
+  live.className = "dtp-live";
+  live.setAttribute("role", "status");
+  live.setAttribute("aria-live", "polite");
+  live.setAttribute("aria-atomic", "true");
+
   shadowRoot.appendChild(wrapper);
+  shadowRoot.appendChild(live);
   document.documentElement.appendChild(hostElement);
 
   ui.wrapper = wrapper;
@@ -323,13 +237,25 @@ function ensureOverlayCreated() {
   ui.headerText = wrapper.querySelector(".dtp-header-text");
   ui.translationLabel = wrapper.querySelector(".dtp-translation-label");
   ui.translation = wrapper.querySelector(".dtp-translation");
+  ui.compare = wrapper.querySelector(".dtp-compare");
+  ui.context = wrapper.querySelector(".dtp-context");
+  ui.contextSource = wrapper.querySelector(".dtp-context-source");
+  ui.contextTranslation = wrapper.querySelector(".dtp-context-translation");
   ui.pronunciation = wrapper.querySelector(".dtp-pronunciation");
   ui.ipa = wrapper.querySelector(".dtp-ipa");
+  ui.lemma = wrapper.querySelector(".dtp-lemma");
+  ui.tags = wrapper.querySelector(".dtp-word-tags");
+  ui.dict = wrapper.querySelector(".dtp-dict");
+  ui.dictBody = wrapper.querySelector(".dtp-dict-body");
   ui.provider = wrapper.querySelector(".dtp-provider");
   ui.error = wrapper.querySelector(".dtp-error");
   ui.btnCopy = wrapper.querySelector(".dtp-action-copy");
   ui.btnClose = wrapper.querySelector(".dtp-close");
+  ui.btnPin = wrapper.querySelector(".dtp-pin");
   ui.btnPlay = wrapper.querySelector(".dtp-action-play");
+  ui.btnSave = wrapper.querySelector(".dtp-action-save");
+  ui.btnReplace = wrapper.querySelector(".dtp-action-replace");
+  ui.live = live;
 
   // 阻止浮层内部点击向页面冒泡，用于实现点击外部关闭
   wrapper.addEventListener("mousedown", (e) => {
@@ -341,14 +267,14 @@ function ensureOverlayCreated() {
     const text =
       currentData && currentData.text ? currentData.text : getCurrentSelectionText();
     if (!text) return;
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-      navigator.clipboard.writeText(text).catch((err) => {
-        console.warn("使用 Clipboard API 复制失败，尝试回退方法", err);
-        fallbackCopyText(text);
-      });
-    } else {
-      fallbackCopyText(text);
-    }
+    copyText(text);
+  });
+
+  // 展开 / 收起释义后浮层高度变化，基于同一锚点重新定位
+  ui.dict.addEventListener("toggle", () => {
+    showOverlayAtRect(lastSelectionRect, lastClickClientX, lastClickClientY, {
+      initial: false
+    });
   });
 
   // 关闭按钮
@@ -356,15 +282,48 @@ function ensureOverlayCreated() {
     hideOverlay();
   });
 
+  // 固定按钮
+  ui.btnPin.addEventListener("click", () => {
+    pinCurrentResult();
+  });
+
   // 播放按钮
   ui.btnPlay.addEventListener("click", () => {
     handlePlayClick();
   });
 
+  // 加入生词本按钮
+  ui.btnSave.addEventListener("click", () => {
+    handleSaveClick();
+  });
+
+  // 替换为译文按钮
+  ui.btnReplace.addEventListener("click", () => {
+    handleReplaceClick();
+  });
+
+  // 浮层内的键盘操作：焦点限制与快捷键
+  wrapper.addEventListener("keydown", (event) => {
+    handleOverlayKeydown(event);
+  });
+
   applyTheme();
 }
 
+function copyText(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(text).catch((err) => {
+      console.warn("使用 Clipboard API 复制失败，尝试回退方法", err);
+      fallbackCopyText(text);
+    });
+  } else {
+    fallbackCopyText(text);
+  }
+}
+
 function fallbackCopyText(text) {
+  // 临时文本框会抢走焦点，复制后还给浮层内原来的元素
+  const focused = shadowRoot ? shadowRoot.activeElement : null;
   try {
     const textarea = document.createElement("textarea");
     textarea.value = text;
@@ -378,6 +337,106 @@ function fallbackCopyText(text) {
   } catch (e) {
     console.warn("回退复制方式失败", e);
   }
+  if (focused) {
+    focused.focus({ preventScroll: true });
+  }
+}
+
+// ------------------ 生词本 ------------------
+
+// 更新“加入生词本”按钮状态：disabled | idle | saving | saved
+function setSaveButtonState(state) {
+  if (!ui.btnSave) return;
+
+  ui.btnSave.dataset.state = state;
+  ui.btnSave.disabled = state === "disabled" || state === "saving";
+
+  if (state === "saving") {
+    ui.btnSave.textContent = "正在加入...";
+  } else if (state === "saved") {
+    ui.btnSave.textContent = "★ 已在生词本";
+  } else {
+    ui.btnSave.textContent = "☆ 加入生词本";
+  }
+}
+
+// 翻译成功后查询当前原文是否已收藏，用于初始化按钮状态
+function refreshSaveButtonState(requestId) {
+  const text = currentData.text;
+  if (!text) return;
+
+  chrome.runtime.sendMessage({ type: "WORDBOOK_LOOKUP", text }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.warn("查询生词本失败", chrome.runtime.lastError);
+      return;
+    }
+    // 浮层内容已切换到其他请求时不再更新
+    if (requestId !== currentRequestId || currentData.text !== text) {
+      return;
+    }
+    if (response && response.success && response.entry) {
+      setSaveButtonState("saved");
+    }
+  });
+}
+
+function handleSaveClick() {
+  if (!currentData || !currentData.text || !currentData.translation) {
+    return;
+  }
+
+  const entry = {
+    text: currentData.text,
+    translation: currentData.translation,
+    provider: currentData.provider,
+    ipa: currentData.ipa,
+    audio: currentData.audio,
+    context: currentData.context ? currentData.context.text : "",
+    contextTranslation: currentData.context ? currentData.context.translation : "",
+    url: location.href,
+    title: document.title,
+    timestamp: Date.now()
+  };
+
+  setSaveButtonState("saving");
+
+  chrome.runtime.sendMessage({ type: "WORDBOOK_ADD", entry }, (response) => {
+    // 期间浮层已被关闭或切换到其他文本时，不再更新按钮
+    if (currentData.text !== entry.text) {
+      return;
+    }
+
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.warn(
+        "加入生词本失败",
+        chrome.runtime.lastError || (response && response.error)
+      );
+      setSaveButtonState("idle");
+      ui.error.textContent = "加入生词本失败，请稍后重试。";
+      return;
+    }
+
+    setSaveButtonState("saved");
+  });
+}
+
+// ------------------ 替换为译文 ------------------
+
+// 将输入框 / 可编辑区域中的原文替换为当前译文，成功后关闭浮层，焦点留在编辑器中
+function handleReplaceClick() {
+  if (!editableTarget || !currentData.translation) return;
+
+  let replaced = false;
+  try {
+    replaced = replaceEditableText(editableTarget, currentData.translation);
+  } catch (e) {
+    console.warn("替换为译文失败", e);
+  }
+  if (!replaced) {
+    ui.error.textContent = "原文已被修改或编辑器已关闭，无法替换。";
+    return;
+  }
+  hideOverlay();
 }
 
 // 根据选区矩形或事件坐标定位浮层
@@ -462,6 +521,10 @@ function showOverlayAtRect(anchorRect, fallbackClientX, fallbackClientY, options
       ui.wrapper.classList.remove("dtp-hidden");
       ui.wrapper.style.visibility = "visible";
       ui.wrapper.style.opacity = "1";
+
+      if (opts.focus) {
+        focusOverlay();
+      }
     });
   } else {
     // 已经显示时的重定位：只调整 left/top，不动可见性，避免闪烁
@@ -473,17 +536,21 @@ function showOverlayAtRect(anchorRect, fallbackClientX, fallbackClientY, options
 
 function hideOverlay() {
   if (!ui.wrapper) return;
+  // 隐藏前判断焦点是否在浮层内：隐藏后 activeElement 会被重置
+  const hadFocus = isFocusInOverlay();
   ui.wrapper.classList.add("dtp-hidden");
   ui.wrapper.style.display = "none";
+  ui.translation.removeAttribute("aria-busy");
 
-  // 停止当前所有语音播放，避免残留朗读
-  if (speechSupported) {
-    try {
-      window.speechSynthesis.cancel();
-    } catch (e) {
-      console.warn("停止语音朗读失败", e);
-    }
+  if (hadFocus) {
+    restoreFocusAfterOverlay();
   }
+  focusBeforeOverlay = null;
+  rangeBeforeOverlay = null;
+  editableTarget = null;
+
+  // 停止当前所有语音播放，避免残留朗读
+  stopSpeaking();
 
   // 清空当前数据，避免后续误显示旧数据
   currentData = {
@@ -491,11 +558,139 @@ function hideOverlay() {
     translation: "",
     provider: "",
     ipa: null,
-    audio: null
+    audio: null,
+    sourceLang: "",
+    targetLang: "",
+    context: null,
+    alternatives: null
   };
 }
 
-function updateOverlayLoading(text) {
+// 渲染单词所在句子及其译文，句子中的单词高亮显示
+function updateContextSection(text, context) {
+  if (!ui.context) return;
+  if (!context || !context.text || !context.translation) {
+    ui.context.style.display = "none";
+    return;
+  }
+
+  ui.contextSource.textContent = "";
+  const index = context.text.toLowerCase().indexOf(text.toLowerCase());
+  if (index >= 0) {
+    const mark = document.createElement("mark");
+    mark.textContent = context.text.slice(index, index + text.length);
+    ui.contextSource.append(
+      context.text.slice(0, index),
+      mark,
+      context.text.slice(index + text.length)
+    );
+  } else {
+    ui.contextSource.textContent = context.text;
+  }
+  ui.contextTranslation.textContent = context.translation;
+  ui.context.style.display = "block";
+}
+
+// 对比模式：每个翻译服务一行，可复制任意一条译文或标记首选；不足两条结果时沿用普通展示
+function updateCompareSection() {
+  if (!ui.compare) return;
+  const rows = currentData.alternatives;
+  ui.compare.textContent = "";
+  if (!rows || rows.length < 2) {
+    ui.compare.style.display = "none";
+    ui.translation.style.display = "block";
+    return;
+  }
+
+  ui.translation.style.display = "none";
+  ui.compare.style.display = "flex";
+  for (const row of rows) {
+    const item = document.createElement("div");
+    item.className =
+      "dtp-compare-row" +
+      (row.preferred ? " dtp-compare-preferred" : "") +
+      (row.translation ? "" : " dtp-compare-failed");
+
+    const head = document.createElement("div");
+    head.className = "dtp-compare-head";
+    const name = document.createElement("span");
+    name.className = "dtp-compare-name";
+    name.textContent = (row.preferred ? "★ " : "") + row.provider;
+    head.appendChild(name);
+
+    if (row.translation) {
+      const copy = document.createElement("button");
+      copy.type = "button";
+      copy.className = "dtp-compare-btn";
+      copy.textContent = "复制";
+      copy.addEventListener("click", () => {
+        copyText(row.translation);
+      });
+      head.appendChild(copy);
+
+      if (!row.preferred) {
+        const prefer = document.createElement("button");
+        prefer.type = "button";
+        prefer.className = "dtp-compare-btn";
+        prefer.textContent = "设为首选";
+        prefer.addEventListener("click", () => {
+          setPreferredProvider(row.providerId);
+        });
+        head.appendChild(prefer);
+      }
+    }
+
+    const body = document.createElement("div");
+    body.className = "dtp-compare-text";
+    body.textContent = row.translation || row.error || "翻译失败";
+
+    item.appendChild(head);
+    item.appendChild(body);
+    ui.compare.appendChild(item);
+  }
+}
+
+// 标记首选翻译服务：当前浮层改用它的译文（加入生词本时保存该译文），
+// 并写入设置，之后的查询在它可用时优先作为主译文
+function setPreferredProvider(providerId) {
+  const rows = currentData.alternatives || [];
+  const selected = rows.find((row) => row.providerId === providerId);
+  if (!selected || !selected.translation) return;
+
+  for (const row of rows) {
+    row.preferred = row === selected;
+  }
+  currentData.translation = selected.translation;
+  currentData.provider = selected.provider;
+  ui.provider.textContent = "翻译来源：" + selected.provider;
+  updateCompareSection();
+
+  patchSettings({ preferredProvider: providerId }).catch((err) => {
+    console.warn("保存首选翻译服务失败", err);
+  });
+}
+
+// 渲染单词的原形提示、考试标签与词典释义（可展开），没有内容时隐藏对应区块
+function updateDictSection(text, dict) {
+  if (ui.lemma) {
+    ui.lemma.textContent = formatLemmaNote(text, dict && dict.lemma);
+    ui.lemma.style.display = ui.lemma.textContent ? "block" : "none";
+  }
+  if (ui.tags) {
+    const hasTags = renderWordTags(ui.tags, dict && dict.tags);
+    ui.tags.style.display = hasTags ? "flex" : "none";
+  }
+
+  if (!ui.dict || !ui.dictBody) return;
+  const meanings = dict && dict.meanings;
+  const hasContent = renderDictionaryMeanings(ui.dictBody, meanings);
+  ui.dict.style.display = hasContent ? "block" : "none";
+  if (!hasContent) {
+    ui.dict.open = false;
+  }
+}
+
+function updateOverlayLoading(text, sourceLang, targetLang) {
   ensureOverlayCreated();
   if (!ui.overlay) return;
 
@@ -504,7 +699,11 @@ function updateOverlayLoading(text) {
     translation: "",
     provider: "",
     ipa: null,
-    audio: null
+    audio: null,
+    sourceLang: sourceLang || "",
+    targetLang: targetLang || userSettings.targetLang,
+    context: null,
+    alternatives: null
   };
 
   const displayText = text.length > 80 ? text.slice(0, 77) + "..." : text;
@@ -513,10 +712,11 @@ function updateOverlayLoading(text) {
   ui.headerText.title = text;
 
   if (ui.translationLabel) {
-    ui.translationLabel.textContent = "中文翻译";
+    ui.translationLabel.textContent = getTranslationLabel(currentData.targetLang);
   }
 
   ui.translation.textContent = "正在翻译...";
+  ui.translation.setAttribute("aria-busy", "true");
   ui.error.textContent = "";
   ui.provider.textContent = "";
 
@@ -532,6 +732,13 @@ function updateOverlayLoading(text) {
     ui.btnPlay.style.display = enablePronounce ? "flex" : "none";
     ui.btnPlay.disabled = !enablePronounce;
   }
+
+  updateCompareSection();
+  updateContextSection(text, null);
+  updateDictSection(text, null);
+  setSaveButtonState("disabled");
+  ui.btnPin.disabled = true;
+  ui.btnReplace.style.display = "none";
 }
 
 function updateOverlaySuccess(text, payload) {
@@ -543,7 +750,11 @@ function updateOverlaySuccess(text, payload) {
     translation: payload.translation || "",
     provider: payload.provider || "",
     ipa: payload.dict && payload.dict.ipa ? payload.dict.ipa : null,
-    audio: payload.dict && payload.dict.audio ? payload.dict.audio : null
+    audio: payload.dict && payload.dict.audio ? payload.dict.audio : null,
+    sourceLang: payload.sourceLang || currentData.sourceLang || "",
+    targetLang: payload.targetLang || userSettings.targetLang,
+    context: payload.context || null,
+    alternatives: Array.isArray(payload.alternatives) ? payload.alternatives : null
   };
 
   const displayText = text.length > 80 ? text.slice(0, 77) + "..." : text;
@@ -552,10 +763,11 @@ function updateOverlaySuccess(text, payload) {
   ui.headerText.title = text;
 
   if (ui.translationLabel) {
-    ui.translationLabel.textContent = "中文翻译";
+    ui.translationLabel.textContent = getTranslationLabel(currentData.targetLang);
   }
 
   ui.translation.textContent = currentData.translation || "(无翻译结果)";
+  ui.translation.removeAttribute("aria-busy");
   ui.error.textContent = "";
 
   if (currentData.provider) {
@@ -578,6 +790,22 @@ function updateOverlaySuccess(text, payload) {
     ui.btnPlay.disabled = !enablePronounce;
   }
 
+  updateCompareSection();
+  updateContextSection(text, currentData.context);
+  updateDictSection(text, payload.dict);
+  setSaveButtonState(currentData.translation ? "idle" : "disabled");
+  ui.btnPin.disabled = !currentData.translation;
+  ui.btnReplace.style.display = editableTarget && currentData.translation ? "flex" : "none";
+
+  announce(
+    text +
+      "：" +
+      (currentData.translation || "无翻译结果") +
+      (currentData.context && currentData.context.translation
+        ? "。语境：" + currentData.context.translation
+        : "")
+  );
+
   applyTheme();
 }
 
@@ -590,7 +818,12 @@ function updateOverlayFailure(text, errorMessage) {
     translation: "",
     provider: "",
     ipa: null,
-    audio: null
+    audio: null,
+    // 保留加载阶段检测到的语言，便于失败时仍按原语种朗读
+    sourceLang: currentData.text === text ? currentData.sourceLang : "",
+    targetLang: currentData.text === text ? currentData.targetLang : userSettings.targetLang,
+    context: null,
+    alternatives: null
   };
 
   const displayText = text.length > 80 ? text.slice(0, 77) + "..." : text;
@@ -598,10 +831,11 @@ function updateOverlayFailure(text, errorMessage) {
   ui.headerText.title = text;
 
   if (ui.translationLabel) {
-    ui.translationLabel.textContent = "中文翻译";
+    ui.translationLabel.textContent = getTranslationLabel(currentData.targetLang);
   }
 
   ui.translation.textContent = "翻译失败，请稍后重试。";
+  ui.translation.removeAttribute("aria-busy");
   ui.error.textContent = errorMessage || "接口不可用，已回退/请稍后重试";
   ui.provider.textContent = "";
 
@@ -618,9 +852,111 @@ function updateOverlayFailure(text, errorMessage) {
     ui.btnPlay.disabled = !enablePronounce;
   }
 
+  updateCompareSection();
+  updateContextSection(text, null);
+  updateDictSection(text, null);
+  setSaveButtonState("disabled");
+  ui.btnPin.disabled = true;
+  ui.btnReplace.style.display = "none";
+
+  announce(text + "：翻译失败。" + ui.error.textContent);
+
   applyTheme();
 }
 
+// ------------------ 键盘与读屏 ------------------
+
+// 通过实时区域播报（先清空再写入，保证相同内容也会重新播报）
+function announce(message) {
+  if (!ui.live) return;
+  ui.live.textContent = "";
+  setTimeout(() => {
+    ui.live.textContent = message;
+  }, 50);
+}
+
+function isFocusInOverlay() {
+  return !!shadowRoot && !!shadowRoot.activeElement;
+}
+
+// 浮层内当前可见、可用的可聚焦元素（按文档顺序）
+function getOverlayFocusables() {
+  if (!ui.overlay) return [];
+  return Array.from(
+    ui.overlay.querySelectorAll("button:not([disabled]), summary, a[href]")
+  ).filter((el) => el.getClientRects().length > 0);
+}
+
+// 将焦点移入浮层（浮层容器本身，读屏软件会读出对话框标题与译文）
+function focusOverlay() {
+  if (!ui.overlay) return;
+  if (!isFocusInOverlay()) {
+    focusBeforeOverlay = getDeepActiveElement();
+    const selection = window.getSelection();
+    rangeBeforeOverlay =
+      selection && selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+  }
+  ui.overlay.focus({ preventScroll: true });
+}
+
+// 关闭浮层后把焦点还给打开前的元素；原先没有聚焦元素时恢复选区，便于继续用键盘操作
+function restoreFocusAfterOverlay() {
+  const target = focusBeforeOverlay;
+  if (target && target !== document.body && target.isConnected && typeof target.focus === "function") {
+    target.focus({ preventScroll: true });
+  } else if (ui.overlay) {
+    ui.overlay.blur();
+  }
+
+  const selection = window.getSelection();
+  if (rangeBeforeOverlay && selection && selection.isCollapsed) {
+    try {
+      selection.removeAllRanges();
+      selection.addRange(rangeBeforeOverlay);
+    } catch (e) {
+      console.warn("恢复选区失败", e);
+    }
+  }
+}
+
+// 浮层内按键：Tab / Shift+Tab 在按钮间循环（焦点不离开浮层），C 复制、P 播放
+// 已处理的按键不再冒泡，避免触发网页自身的快捷键
+function handleOverlayKeydown(event) {
+  if (event.key === "Tab") {
+    const focusables = getOverlayFocusables();
+    if (focusables.length === 0) return;
+    const current = shadowRoot.activeElement;
+    const index = focusables.indexOf(current);
+    let next;
+    if (event.shiftKey) {
+      next = index <= 0 ? focusables[focusables.length - 1] : focusables[index - 1];
+    } else {
+      next = index < 0 || index === focusables.length - 1 ? focusables[0] : focusables[index + 1];
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    next.focus();
+    return;
+  }
+
+  if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return;
+  const key = String(event.key || "").toLowerCase();
+  if (key === "c") {
+    ui.btnCopy.click();
+    announce("已复制原文");
+  } else if (key === "p") {
+    if (!ui.btnPlay || ui.btnPlay.disabled) return;
+    handlePlayClick();
+  } else if (key === "r") {
+    if (ui.btnReplace.style.display === "none") return;
+    handleReplaceClick();
+  } else {
+    return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+}
+
 // ------------------ 双击监听与英文判定 ------------------
 
 function setupGlobalListeners() {
@@ -679,7 +1015,61 @@ function setupGlobalListeners() {
   });
 }
 
+// ------------------ 右键菜单与快捷键 ------------------
+
+function setupCommandListener() {
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== "RUN_COMMAND") return;
+    const handled = runCommand(message.command, message);
+    sendResponse({ success: true, handled });
+  });
+}
+
+// 快捷键消息会发往页面内所有 frame，各 frame 只处理与自身相关的部分
+function runCommand(command, message) {
+  switch (command) {
+    case "translate-selection":
+      // 只有存在选区的 frame（或右键菜单所在 frame 传来了 selectionText）才弹出浮层
+      if (!getCurrentSelectionText() && !message.selectionText) return false;
+      // 通过快捷键或右键菜单打开时总是聚焦浮层，便于继续用键盘操作
+      triggerTranslateFromSelection(null, {
+        force: true,
+        focus: true,
+        fallbackText: message.selectionText
+      });
+      return true;
+    case "play-pronunciation":
+      if (!currentData.text && !getCurrentSelectionText()) return false;
+      handlePlayClick();
+      return true;
+    case "close-overlay":
+      hideOverlay();
+      return true;
+    case "toggle-page-translation":
+      togglePageTranslation();
+      return true;
+    default:
+      return false;
+  }
+}
+
+// 当前页面的触发方式（见 siteRules.js）；只影响双击与划词，右键菜单和快捷键始终可用
+function getSiteTrigger() {
+  const ownRule = findMatchingSiteRule(location.href, userSettings.siteRules);
+  if (ownRule) return ownRule.trigger;
+
+  // iframe 自身没有命中规则时跟随顶层页面（跨域时只能拿到 origin）
+  const ancestors = location.ancestorOrigins;
+  if (window !== window.top && ancestors && ancestors.length > 0) {
+    return resolveSiteTrigger(ancestors[ancestors.length - 1] + "/", userSettings);
+  }
+  return resolveSiteTrigger(location.href, userSettings);
+}
+
 function handleDoubleClick(event) {
+  // 停用或“仅划词”的网站把双击留给页面自身（如在线表格、网页 IDE、游戏）
+  const trigger = getSiteTrigger();
+  if (trigger === "disabled" || trigger === "select") return;
   triggerTranslateFromSelection(event);
 }
 
@@ -702,8 +1092,12 @@ function handleMouseUpForSelection(event) {
       }
     }
 
-    // 仅在开启“划词自动弹出”时生效
-    if (!userSettings.autoPopupOnSelect) {
+    // 仅在开启“划词自动弹出”时生效；网站规则为“仅划词”时不受全局开关影响
+    const trigger = getSiteTrigger();
+    if (trigger === "disabled" || trigger === "dblclick") {
+      return;
+    }
+    if (trigger === "default" && !userSettings.autoPopupOnSelect) {
       return;
     }
 
@@ -715,12 +1109,19 @@ function handleMouseUpForSelection(event) {
       return;
     }
 
+    // 输入框内的选区不在 window.getSelection() 中；Shadow DOM 内的选区需单独读取
+    const control = getTextControlSelection();
+    const shadowSelection = control ? null : getShadowSelection();
     const selection = window.getSelection();
-    if (!selection || selection.isCollapsed) {
+    if (!control && !shadowSelection && (!selection || selection.isCollapsed)) {
       return;
     }
 
-    const newText = selection.toString().trim();
+    const newText = control
+      ? control.text.trim()
+      : shadowSelection
+        ? shadowSelection.text.trim()
+        : selection.toString().trim();
     // 选区为空，不触发自动弹出
     if (!newText) {
       return;
@@ -734,8 +1135,14 @@ function handleMouseUpForSelection(event) {
     // 可选增强：比较当前选区矩形与上次矩形是否几乎相同
     let selectionRect = null;
     try {
-      if (selection.rangeCount > 0) {
-        const range = selection.getRangeAt(0);
+      const range = control
+        ? null
+        : shadowSelection
+          ? shadowSelection.range
+          : selection.rangeCount > 0
+            ? selection.getRangeAt(0)
+            : null;
+      if (range) {
         const r = range.getBoundingClientRect && range.getBoundingClientRect();
         if (r && !(r.width === 0 && r.height === 0 && r.top === 0 && r.left === 0)) {
           selectionRect = {
@@ -762,139 +1169,260 @@ function handleMouseUpForSelection(event) {
   }
 }
 
-function triggerTranslateFromSelection(anchorEvent) {
+// 从当前选区触发翻译
+// anchorEvent：触发事件（用于回退定位），快捷键 / 右键菜单触发时为 null
+// options.force：用户显式要求翻译（右键菜单、快捷键）时跳过语言判定
+// options.fallbackText：页面选区为空时使用的文本（例如右键菜单传来的 selectionText）
+// 选区在输入框或可编辑区域内时记录其位置（options.editable），浮层中可将原文替换为译文
+// 选区在 Shadow DOM 内时使用 getShadowSelection() 得到的真实选区计算文本、矩形与语境
+function triggerTranslateFromSelection(anchorEvent, options) {
   try {
+    const opts = options || {};
+    const control = getTextControlSelection();
+    const shadowSelection = control ? null : getShadowSelection();
     const selection = window.getSelection();
-    if (!selection || selection.isCollapsed) {
-      return;
-    }
-
-    const text = selection.toString().trim();
+    const hasSelection = !control && !!selection && !selection.isCollapsed;
+    const range = shadowSelection
+      ? shadowSelection.range
+      : hasSelection && selection.rangeCount > 0
+        ? selection.getRangeAt(0)
+        : null;
+    const editable = control || getContentEditableSelection(range);
+
+    const text = control
+      ? control.text.trim()
+      : shadowSelection
+        ? shadowSelection.text.trim()
+        : hasSelection
+          ? selection.toString().trim()
+          : String(opts.fallbackText || "").trim();
     if (!text) return;
 
-    if (!isProbablyEnglish(text)) {
-      // 非英文，直接忽略
-      return;
-    }
-
-    const now = Date.now();
-    if (text === lastTriggerText && now - lastTriggerAt < 300) {
-      // 短时间内对同一选区重复触发，直接跳过
-      return;
-    }
-    lastTriggerText = text;
-    lastTriggerAt = now;
-
-    const isWord = isSingleWord(text);
-
-    // 使用选区矩形作为浮层定位锚点：
-    // 1. 优先使用 range.getClientRects() 中“最后一个可见片段”的 rect
-    // 2. getClientRects 无效时回退到 range.getBoundingClientRect()
     let rect = null;
     try {
-      if (selection.rangeCount > 0) {
-        const range = selection.getRangeAt(0);
-
-        // 优先：从 getClientRects() 尾部开始找一个 width>0 && height>0 的片段，尽量贴近用户结束选择的位置
-        const clientRects = range.getClientRects && range.getClientRects();
-        if (clientRects && clientRects.length > 0) {
-          for (let i = clientRects.length - 1; i >= 0; i -= 1) {
-            const cr = clientRects[i];
-            if (cr && cr.width > 0 && cr.height > 0) {
-              rect = {
-                left: cr.left,
-                top: cr.top,
-                right: cr.right,
-                bottom: cr.bottom,
-                width: cr.width,
-                height: cr.height
-              };
-              break;
-            }
-          }
-        }
-
-        // 回退：getClientRects 得不到有效 rect 时，使用 getBoundingClientRect()
-        if (!rect) {
-          const r = range.getBoundingClientRect && range.getBoundingClientRect();
-          // 某些情况下未真正选中文本时 width/height 可能为 0，这里认为是无效矩形
-          if (r && !(r.width === 0 && r.height === 0 && r.top === 0 && r.left === 0)) {
-            rect = {
-              left: r.left,
-              top: r.top,
-              right: r.right,
-              bottom: r.bottom,
-              width: r.width,
-              height: r.height
-            };
-          }
-        }
+      if (control) {
+        rect = getTextControlRect(control.element, control.start, control.end);
+      } else if (range) {
+        rect = getRangeAnchorRect(range);
       }
     } catch (e) {
       console.warn("获取选区矩形失败，将回退到事件坐标", e);
     }
 
-    // 缓存本次锚点信息，供翻译完成后再次定位使用
-    lastSelectionRect = rect;
-    lastClickClientX = anchorEvent.clientX;
-    lastClickClientY = anchorEvent.clientY;
-
-    // 每次触发新的翻译请求前，先停止当前语音播放，避免播放残留
-    if (speechSupported) {
-      try {
-        window.speechSynthesis.cancel();
-      } catch (e) {
-        console.warn("停止语音朗读失败", e);
+    let context = "";
+    try {
+      if (range && isSingleWord(text)) {
+        context = extractSentenceContext(range, text);
       }
+    } catch (e) {
+      console.warn("提取单词所在句子失败", e);
     }
 
-    const requestId = ++currentRequestId;
-
-    updateOverlayLoading(text);
-    // 初次展示时，根据选区矩形定位；若矩形无效，在函数内部回退到事件坐标
-    showOverlayAtRect(lastSelectionRect, lastClickClientX, lastClickClientY, {
-      initial: true
-    });
-
-    chrome.runtime.sendMessage(
+    translateText(
+      text,
       {
-        type: "TRANSLATE_AND_DEFINE",
-        text,
-        isWord
+        rect,
+        clientX: anchorEvent ? anchorEvent.clientX : undefined,
+        clientY: anchorEvent ? anchorEvent.clientY : undefined
       },
-      (response) => {
-        // 若期间用户已经触发了新的翻译请求，则当前响应视为过期，不再更新 UI
-        if (requestId !== currentRequestId) {
-          return;
-        }
+      { ...opts, context, editable }
+    );
+  } catch (e) {
+    console.error("处理选区触发事件出错", e);
+  }
+}
 
-        if (chrome.runtime.lastError) {
-          console.warn("发送消息失败", chrome.runtime.lastError);
-          updateOverlayFailure(text, "翻译失败，请稍后重试。");
-          return;
-        }
+// 从选区所在的块级元素中取出包含选区的整句，用作单词的翻译语境
+// 句子以 . ! ? 后接空白（或中文句末标点）分隔，过长时只保留选区附近的片段
+// closest() 不会越过 Shadow 边界：组件内没有块级元素时以整个 Shadow Root 作为语境范围
+function extractSentenceContext(range, text) {
+  const startNode = range.startContainer;
+  const startEl =
+    startNode.nodeType === Node.ELEMENT_NODE ? startNode : startNode.parentElement;
+  const root = startEl && startEl.getRootNode();
+  const block =
+    startEl &&
+    (startEl.closest(CONTEXT_BLOCK_SELECTOR) ||
+      (root instanceof ShadowRoot && root !== shadowRoot ? root : null));
+  if (!block || (hostElement && hostElement.contains(block))) return "";
+
+  const before = document.createRange();
+  before.selectNodeContents(block);
+  before.setEnd(range.startContainer, range.startOffset);
+  const offset = before.toString().length;
+  const full = block.textContent || "";
+  if (offset > full.length) return "";
+
+  let start = 0;
+  const head = full.slice(0, offset);
+  let match;
+  const boundary = new RegExp(SENTENCE_BOUNDARY_SOURCE, "g");
+  while ((match = boundary.exec(head))) {
+    start = match.index + match[0].length;
+  }
 
-        if (!response || !response.success) {
-          updateOverlayFailure(text, response && response.error);
-        } else {
-          updateOverlaySuccess(text, response);
-        }
+  const tailStart = offset + text.length;
+  boundary.lastIndex = 0;
+  const tailMatch = boundary.exec(full.slice(tailStart));
+  const end = tailMatch ? tailStart + tailMatch.index + 1 : full.length;
 
-        // 翻译完成后再次基于同一锚点定位，适配内容高度变化
-        showOverlayAtRect(lastSelectionRect, lastClickClientX, lastClickClientY, {
-          initial: false
-        });
+  let sentence = full.slice(start, end).replace(/\s+/g, " ").trim();
+  if (sentence.length > CONTEXT_MAX_LENGTH) {
+    const index = sentence.toLowerCase().indexOf(text.toLowerCase());
+    const from = Math.max(0, index - Math.floor((CONTEXT_MAX_LENGTH - text.length) / 2));
+    sentence = sentence.slice(from, from + CONTEXT_MAX_LENGTH).trim();
+  }
+  // 句子就是单词本身（如标题、按钮文字）时不需要语境
+  return sentence.length > text.length ? sentence : "";
+}
+
+// 使用选区矩形作为浮层定位锚点：
+// 1. 优先使用 range.getClientRects() 中“最后一个可见片段”的 rect
+// 2. getClientRects 无效时回退到 range.getBoundingClientRect()
+function getRangeAnchorRect(range) {
+  // 优先：从 getClientRects() 尾部开始找一个 width>0 && height>0 的片段，尽量贴近用户结束选择的位置
+  const clientRects = range.getClientRects && range.getClientRects();
+  if (clientRects && clientRects.length > 0) {
+    for (let i = clientRects.length - 1; i >= 0; i -= 1) {
+      const cr = clientRects[i];
+      if (cr && cr.width > 0 && cr.height > 0) {
+        return {
+          left: cr.left,
+          top: cr.top,
+          right: cr.right,
+          bottom: cr.bottom,
+          width: cr.width,
+          height: cr.height
+        };
       }
-    );
-  } catch (e) {
-    console.error("处理选区触发事件出错", e);
+    }
+  }
+
+  // 回退：getClientRects 得不到有效 rect 时，使用 getBoundingClientRect()
+  const r = range.getBoundingClientRect && range.getBoundingClientRect();
+  // 某些情况下未真正选中文本时 width/height 可能为 0，这里认为是无效矩形
+  if (r && !(r.width === 0 && r.height === 0 && r.top === 0 && r.left === 0)) {
+    return {
+      left: r.left,
+      top: r.top,
+      right: r.right,
+      bottom: r.bottom,
+      width: r.width,
+      height: r.height
+    };
+  }
+  return null;
+}
+
+// 翻译指定文本并在锚点附近展示浮层
+// anchor: { rect, clientX, clientY }，rect 无效时回退到坐标，坐标也无效时居中
+// options.recordHistory：为 false 时不写入查词历史与“查过的单词”（悬停取词扫读时经过的单词）
+// options.compare：为 false 时即使开启了对比模式也只查询首选 Provider（悬停取词）
+function translateText(text, anchor, options) {
+  const opts = options || {};
+
+  const sourceLang = resolveSourceLanguage(text);
+  if (sourceLang !== "auto") {
+    startTranslation(text, anchor, opts, sourceLang, sourceLang ? "" : detectLanguage(text));
+    return;
+  }
+  // 拉丁字母文本只凭字符无法区分语言，先用浏览器内置的语言检测判断是否已是目标语言
+  detectLanguageAsync(text).then((detected) => {
+    const same = isSameLanguageFamily(detected, userSettings.targetLang);
+    startTranslation(text, anchor, opts, same ? "" : detected, detected);
+  });
+}
+
+// sourceLang 为 "" 表示无需翻译（不属于源语言或已是目标语言）；detected 为检测出的语言，用于反向翻译
+function startTranslation(text, anchor, opts, resolvedSource, detected) {
+  let sourceLang = resolvedSource;
+  let targetLang = userSettings.targetLang;
+  // 输入框中的文本已是目标语言时反向翻译（例如在英文表单中先写中文，再替换为英文译文）
+  if (!sourceLang && opts.editable && detected && isSameLanguageFamily(detected, targetLang)) {
+    sourceLang = detected;
+    targetLang = getReverseTargetLang(targetLang);
+  }
+  if (!sourceLang) {
+    if (!opts.force) {
+      // 不属于源语言或本就是目标语言，直接忽略
+      return;
+    }
+    sourceLang = detected || "auto";
   }
+
+  const now = Date.now();
+  if (text === lastTriggerText && now - lastTriggerAt < 300) {
+    // 短时间内对同一选区重复触发，直接跳过
+    return;
+  }
+  lastTriggerText = text;
+  lastTriggerAt = now;
+
+  const isWord = isSingleWord(text);
+
+  // 缓存本次锚点信息，供翻译完成后再次定位使用
+  lastSelectionRect = anchor.rect || null;
+  lastClickClientX = anchor.clientX;
+  lastClickClientY = anchor.clientY;
+
+  // 每次触发新的翻译请求前，先停止当前语音播放，避免播放残留
+  stopSpeaking();
+
+  const requestId = ++currentRequestId;
+  editableTarget = opts.editable || null;
+
+  updateOverlayLoading(text, sourceLang, targetLang);
+  // 初次展示时，根据选区矩形定位；若矩形无效，在函数内部回退到事件坐标
+  showOverlayAtRect(lastSelectionRect, lastClickClientX, lastClickClientY, {
+    initial: true,
+    focus: !!opts.focus || userSettings.overlayAutoFocus
+  });
+
+  chrome.runtime.sendMessage(
+    {
+      type: "TRANSLATE_AND_DEFINE",
+      text,
+      isWord,
+      sourceLang,
+      targetLang,
+      context: opts.context || "",
+      // 设置中开启对比模式时，background 会并行查询全部 Provider
+      compare: opts.compare !== false,
+      recordHistory: opts.recordHistory !== false
+    },
+    (response) => {
+      // 若期间用户已经触发了新的翻译请求，则当前响应视为过期，不再更新 UI
+      if (requestId !== currentRequestId) {
+        return;
+      }
+
+      if (chrome.runtime.lastError) {
+        console.warn("发送消息失败", chrome.runtime.lastError);
+        updateOverlayFailure(text, "翻译失败，请稍后重试。");
+        return;
+      }
+
+      if (!response || !response.success) {
+        updateOverlayFailure(text, response && response.error);
+      } else {
+        updateOverlaySuccess(text, response);
+        refreshSaveButtonState(requestId);
+      }
+
+      // 翻译完成后再次基于同一锚点定位，适配内容高度变化
+      showOverlayAtRect(lastSelectionRect, lastClickClientX, lastClickClientY, {
+        initial: false
+      });
+    }
+  );
 }
 
-<<<<<<< HEAD
-=======
 function getCurrentSelectionText() {
   try {
+    const control = getTextControlSelection();
+    if (control) return control.text.trim();
+    const shadowSelection = getShadowSelection();
+    if (shadowSelection) return shadowSelection.text.trim();
     const selection = window.getSelection();
     if (!selection) return "";
     const text = selection.toString();
@@ -904,7 +1432,6 @@ function getCurrentSelectionText() {
   }
 }
 
->>>>>>> 476e37a (初始化)
 function isRectAlmostSame(a, b, threshold) {
   if (!a || !b) return false;
 
@@ -919,6 +1446,45 @@ function isRectAlmostSame(a, b, threshold) {
   );
 }
 
+// 根据语言设置判断选中文本是否需要翻译，返回源语言代码；无需翻译时返回 ""
+// - 固定源语言：文本书写系统需与源语言一致（英文沿用原有的字母占比判定）
+// - 自动检测：检测出的语言与目标语言相同则不翻译；拉丁字母文本无法按字符判断时返回 "auto"，
+//   由调用方用 detectLanguageAsync() 进一步检测（见 resolveSourceLanguageAsync()）
+function resolveSourceLanguage(text) {
+  const source = userSettings.sourceLang || DEFAULT_SOURCE_LANG;
+  if (source === "en") {
+    return isProbablyEnglish(text) ? "en" : "";
+  }
+
+  const script = detectScript(text);
+  if (!script) return "";
+
+  if (source !== "auto") {
+    const lang = getLanguage(source);
+    return lang && lang.script === script ? source : "";
+  }
+
+  // 拉丁字母文本仍要求字母占比足够，避免数字、代码片段等误触发
+  if (script === "latin" && !isProbablyEnglish(text)) {
+    return "";
+  }
+  const detected = detectLanguage(text);
+  if (isSameLanguageFamily(detected, userSettings.targetLang)) {
+    return "";
+  }
+  return detected;
+}
+
+// resolveSourceLanguage() 的异步版本：无法按字符判断的拉丁字母文本再用浏览器内置的语言检测，
+// 仍无法确定时返回 "auto"（交给支持自动检测的翻译接口）
+function resolveSourceLanguageAsync(text) {
+  const sourceLang = resolveSourceLanguage(text);
+  if (sourceLang !== "auto") return Promise.resolve(sourceLang);
+  return detectLanguageAsync(text).then((detected) =>
+    isSameLanguageFamily(detected, userSettings.targetLang) ? "" : detected
+  );
+}
+
 // 简单英文判定：去除空白和常见标点后，A-Z 字母占比 > 60% 视为英文
 function isProbablyEnglish(text) {
   const cleaned = text.replace(/[\s,，。.!?？:：;；"'“”'()（）\[\]{}]/g, "");
@@ -0,0 +1,179 @@
+// diagnostics.js
+// Provider 诊断记录（在 background 中通过 importScripts 使用）
+// - 每次调用翻译 Provider 或在线词典都记录一条结果：是否成功、失败类型、HTTP 状态码、耗时、是否命中缓存
+// - 只保留最近 DIAGNOSTICS_MAX_EVENTS 条，保存在 chrome.storage.local，供选项页“服务诊断”汇总展示
+// - 与缓存统计一样先累计在内存中，稍后合并写入，避免每次查询都写存储
+
+const DIAGNOSTICS_LOG_KEY = "providerLog";
+const DIAGNOSTICS_MAX_EVENTS = 300;
+// 每个 Provider 展示的最近错误条数
+const DIAGNOSTICS_RECENT_ERRORS = 3;
+
+// 失败类型与展示文字
+const FAILURE_TYPE_LABELS = {
+  timeout: "超时",
+  http: "HTTP 错误",
+  network: "网络错误",
+  empty: "无结果",
+  invalid: "响应异常"
+};
+
+let pendingProviderEvents = [];
+let providerLogFlushTimer = null;
+// 读-改-写串行执行：定时写入与诊断页面触发的写入重叠时，后写入的一方不会丢掉前一方的记录
+let providerLogQueue = Promise.resolve();
+
+// 根据异常判断失败类型（状态码与超时标记见 providers.js 的 createHttpError / fetchJsonWithTimeout）
+function classifyProviderError(err) {
+  if (!err) return "invalid";
+  if (err.code === "timeout" || err.code === "empty") return err.code;
+  if (typeof err.status === "number") return "http";
+  // fetch 在网络不可达、DNS 失败、被 CORS 拦截时抛出 TypeError
+  if (err instanceof TypeError) return "network";
+  return "invalid";
+}
+
+// event: { provider, ok, cache, latency, errorType, status, message }
+function recordProviderEvent(event) {
+  pendingProviderEvents.push({
+    time: Date.now(),
+    provider: event.provider,
+    ok: !!event.ok,
+    cache: !!event.cache,
+    latency: typeof event.latency === "number" ? Math.round(event.latency) : null,
+    errorType: event.ok ? null : event.errorType || "invalid",
+    status: typeof event.status === "number" ? event.status : null,
+    message: event.ok ? "" : String(event.message || "").slice(0, 200)
+  });
+
+  if (!providerLogFlushTimer) {
+    providerLogFlushTimer = setTimeout(flushProviderLog, 2000);
+  }
+}
+
+// 记录一次失败调用
+function recordProviderFailure(provider, err, startedAt) {
+  recordProviderEvent({
+    provider,
+    ok: false,
+    latency: Date.now() - startedAt,
+    errorType: classifyProviderError(err),
+    status: err && err.status,
+    message: err && err.message
+  });
+}
+
+// 将内存中的记录合并写入存储，返回 Promise（写入后的完整记录）
+function flushProviderLog() {
+  if (providerLogFlushTimer) {
+    clearTimeout(providerLogFlushTimer);
+    providerLogFlushTimer = null;
+  }
+  const run = providerLogQueue.then(() => writeProviderLog());
+  providerLogQueue = run.catch(() => {});
+  return run;
+}
+
+function writeProviderLog() {
+  const events = pendingProviderEvents;
+  pendingProviderEvents = [];
+
+  return new Promise((resolve) => {
+    chrome.storage.local.get(DIAGNOSTICS_LOG_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn("读取诊断记录失败", chrome.runtime.lastError);
+        resolve([]);
+        return;
+      }
+      const log = (result[DIAGNOSTICS_LOG_KEY] || []).concat(events);
+      const trimmed = log.slice(-DIAGNOSTICS_MAX_EVENTS);
+      if (events.length === 0) {
+        resolve(trimmed);
+        return;
+      }
+      chrome.storage.local.set({ [DIAGNOSTICS_LOG_KEY]: trimmed }, () => {
+        resolve(trimmed);
+      });
+    });
+  });
+}
+
+// 已排序数组的百分位数（最近秩法）
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+// 按 Provider 汇总：调用次数、成功率、p50 / p95 耗时、缓存命中次数、最近错误
+// 成功率与耗时只统计真实网络请求，不含缓存命中
+function summarizeProviderLog(log) {
+  const groups = {};
+  for (const e of log) {
+    const g =
+      groups[e.provider] ||
+      (groups[e.provider] = {
+        requests: 0,
+        successes: 0,
+        cacheHits: 0,
+        latencies: [],
+        errors: [],
+        lastTime: 0
+      });
+    g.lastTime = e.time;
+    if (e.cache) {
+      g.cacheHits += 1;
+      continue;
+    }
+    g.requests += 1;
+    if (e.ok) {
+      g.successes += 1;
+      if (e.latency !== null) g.latencies.push(e.latency);
+    } else {
+      g.errors.push(e);
+    }
+  }
+
+  const summary = {};
+  for (const id of Object.keys(groups)) {
+    const g = groups[id];
+    const sorted = g.latencies.sort((a, b) => a - b);
+    summary[id] = {
+      requests: g.requests,
+      successes: g.successes,
+      successRate: g.requests > 0 ? g.successes / g.requests : null,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      cacheHits: g.cacheHits,
+      lastErrors: g.errors
+        .slice(-DIAGNOSTICS_RECENT_ERRORS)
+        .reverse()
+        .map((e) => ({ ...e, label: FAILURE_TYPE_LABELS[e.errorType] || e.errorType })),
+      lastTime: g.lastTime
+    };
+  }
+  return summary;
+}
+
+// 返回 { summary, circuits, total, limit }，供选项页展示
+async function getProviderDiagnostics() {
+  const log = await flushProviderLog();
+  return {
+    summary: summarizeProviderLog(log),
+    circuits: getCircuitSnapshot(),
+    total: log.length,
+    limit: DIAGNOSTICS_MAX_EVENTS
+  };
+}
+
+function clearProviderLog() {
+  pendingProviderEvents = [];
+  const run = providerLogQueue.then(
+    () =>
+      new Promise((resolve) => {
+        chrome.storage.local.remove(DIAGNOSTICS_LOG_KEY, () => resolve());
+      })
+  );
+  providerLogQueue = run.catch(() => {});
+  return run;
+}
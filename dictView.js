@@ -0,0 +1,113 @@
+// dictView.js
+// 词典释义渲染（词性、释义、例句、近义词、反义词）与单词考试标签，供内容脚本浮层与工具栏弹窗共用
+// 只负责生成 DOM，样式由调用方提供（类名统一以 dtp-dict- 开头）
+
+const PART_OF_SPEECH_LABELS = {
+  noun: "名词",
+  verb: "动词",
+  adjective: "形容词",
+  adverb: "副词",
+  pronoun: "代词",
+  preposition: "介词",
+  conjunction: "连词",
+  interjection: "感叹词",
+  determiner: "限定词",
+  article: "冠词",
+  numeral: "数词",
+  abbreviation: "缩写",
+  prefix: "前缀",
+  suffix: "后缀",
+  other: "其他"
+};
+
+// 离线词典（ECDICT）中的考试标签
+const WORD_TAG_LABELS = {
+  zk: "中考",
+  gk: "高考",
+  cet4: "四级",
+  cet6: "六级",
+  ky: "考研",
+  toefl: "托福",
+  ielts: "雅思",
+  gre: "GRE"
+};
+
+function getPartOfSpeechLabel(pos) {
+  const zh = PART_OF_SPEECH_LABELS[pos];
+  return zh && pos !== "other" ? pos + " " + zh : zh || pos;
+}
+
+function createDictElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text) el.textContent = text;
+  return el;
+}
+
+function createRelatedWords(label, words) {
+  const row = createDictElement("div", "dtp-dict-related");
+  row.appendChild(createDictElement("span", "dtp-dict-related-label", label));
+  for (const w of words) {
+    row.appendChild(createDictElement("span", "dtp-dict-chip", w));
+  }
+  return row;
+}
+
+// 变形词提示，如 "went → go（过去式）"；lemma 为 background 返回的 { word, label }
+function formatLemmaNote(text, lemma) {
+  if (!lemma || !lemma.word) return "";
+  return text + " → " + lemma.word + (lemma.label ? "（" + lemma.label + "）" : "");
+}
+
+// 渲染单词标签（四级、六级等），返回是否有内容
+function renderWordTags(container, tags) {
+  container.textContent = "";
+  if (!Array.isArray(tags)) return false;
+
+  for (const tag of tags) {
+    const label = WORD_TAG_LABELS[tag];
+    if (!label) continue;
+    container.appendChild(createDictElement("span", "dtp-dict-chip dtp-word-tag", label));
+  }
+  return container.childNodes.length > 0;
+}
+
+// 将 meanings 渲染到 container 中（先清空），返回是否有内容
+function renderDictionaryMeanings(container, meanings) {
+  container.textContent = "";
+  if (!Array.isArray(meanings) || meanings.length === 0) return false;
+
+  for (const group of meanings) {
+    const section = createDictElement("div", "dtp-dict-group");
+    section.appendChild(
+      createDictElement("div", "dtp-dict-pos", getPartOfSpeechLabel(group.partOfSpeech))
+    );
+
+    const list = createDictElement("ol", "dtp-dict-definitions");
+    for (const d of group.definitions) {
+      const item = createDictElement("li", "dtp-dict-definition");
+      item.appendChild(createDictElement("div", "dtp-dict-text", d.definition));
+      if (d.example) {
+        item.appendChild(createDictElement("div", "dtp-dict-example", d.example));
+      }
+      if (d.synonyms && d.synonyms.length) {
+        item.appendChild(createRelatedWords("近义", d.synonyms));
+      }
+      if (d.antonyms && d.antonyms.length) {
+        item.appendChild(createRelatedWords("反义", d.antonyms));
+      }
+      list.appendChild(item);
+    }
+    section.appendChild(list);
+
+    if (group.synonyms && group.synonyms.length) {
+      section.appendChild(createRelatedWords("近义词", group.synonyms));
+    }
+    if (group.antonyms && group.antonyms.length) {
+      section.appendChild(createRelatedWords("反义词", group.antonyms));
+    }
+
+    container.appendChild(section);
+  }
+  return true;
+}
@@ -0,0 +1,174 @@
+// editableText.js
+// 输入框、多行文本框与富文本编辑器（contenteditable）中的选区（内容脚本，供 contentScript.js 使用）
+// - <input> / <textarea> 内的选区不会出现在 window.getSelection().toString() 中，改用 selectionStart / selectionEnd 读取
+// - 浮层锚点：用与控件样式一致的隐藏镜像元素计算选区在屏幕上的位置
+// - “替换为译文”：通过 execCommand("insertText") 写回，保留撤销记录并触发 input 事件，让网页框架感知修改
+
+// 支持 selectionStart / selectionEnd 的 input 类型（email、number 等不支持）
+const TEXT_CONTROL_INPUT_TYPES = ["text", "search", "url", "tel"];
+
+// 镜像元素需要复制的样式，影响文字排版与换行位置
+const TEXT_CONTROL_MIRROR_PROPS = [
+  "boxSizing",
+  "width",
+  "height",
+  "overflowX",
+  "overflowY",
+  "borderTopWidth",
+  "borderRightWidth",
+  "borderBottomWidth",
+  "borderLeftWidth",
+  "borderStyle",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "fontStyle",
+  "fontVariant",
+  "fontWeight",
+  "fontStretch",
+  "fontSize",
+  "fontFamily",
+  "lineHeight",
+  "textAlign",
+  "textTransform",
+  "textIndent",
+  "letterSpacing",
+  "wordSpacing",
+  "tabSize",
+  "direction"
+];
+
+function isTextControl(el) {
+  if (!el) return false;
+  if (el.tagName === "TEXTAREA") return true;
+  return (
+    el.tagName === "INPUT" &&
+    TEXT_CONTROL_INPUT_TYPES.includes(String(el.type || "text").toLowerCase())
+  );
+}
+
+// 当前聚焦的输入框中的选区：{ kind: "control", element, start, end, text }，没有时返回 null
+// 输入框可能位于 Web Components 的 Shadow DOM 中，见 shadowSelection.js
+function getTextControlSelection() {
+  const el = getDeepActiveElement();
+  if (!isTextControl(el)) return null;
+
+  const start = el.selectionStart;
+  const end = el.selectionEnd;
+  if (typeof start !== "number" || typeof end !== "number" || end <= start) return null;
+
+  const text = el.value.slice(start, end);
+  return text.trim() ? { kind: "control", element: el, start, end, text } : null;
+}
+
+// 选区（range）位于可编辑区域内时返回 { kind: "contenteditable", element, range, text }，否则返回 null
+function getContentEditableSelection(range) {
+  if (!range || range.collapsed) return null;
+
+  const node = range.commonAncestorContainer;
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  if (!el || !el.isContentEditable) return null;
+
+  // 最外层的可编辑元素作为编辑器
+  let editor = el;
+  while (editor.parentElement && editor.parentElement.isContentEditable) {
+    editor = editor.parentElement;
+  }
+  const text = range.toString();
+  return text.trim()
+    ? { kind: "contenteditable", element: editor, range: range.cloneRange(), text }
+    : null;
+}
+
+// 输入框中 [start, end) 的文字在视口中的矩形（取最后一行，贴近选区结束的位置）
+// 选区滚出控件可见区域时限制在控件范围内
+function getTextControlRect(element, start, end) {
+  const style = window.getComputedStyle(element);
+  const isTextarea = element.tagName === "TEXTAREA";
+
+  const mirror = document.createElement("div");
+  for (const prop of TEXT_CONTROL_MIRROR_PROPS) {
+    mirror.style[prop] = style[prop];
+  }
+  mirror.style.position = "fixed";
+  mirror.style.top = "0";
+  mirror.style.left = "0";
+  mirror.style.visibility = "hidden";
+  mirror.style.whiteSpace = isTextarea ? "pre-wrap" : "pre";
+  mirror.style.overflowWrap = isTextarea ? "break-word" : "normal";
+
+  const value = element.value;
+  const marker = document.createElement("span");
+  marker.textContent = value.slice(start, end);
+  mirror.appendChild(document.createTextNode(value.slice(0, start)));
+  mirror.appendChild(marker);
+  mirror.appendChild(document.createTextNode(value.slice(end)));
+  document.documentElement.appendChild(mirror);
+
+  let result = null;
+  try {
+    const mirrorRect = mirror.getBoundingClientRect();
+    const rects = marker.getClientRects();
+    const last = rects.length > 0 ? rects[rects.length - 1] : marker.getBoundingClientRect();
+    const box = element.getBoundingClientRect();
+
+    const left = Math.min(
+      Math.max(box.left + last.left - mirrorRect.left - element.scrollLeft, box.left),
+      box.right
+    );
+    const right = Math.min(left + last.width, box.right);
+    const top = Math.min(
+      Math.max(box.top + last.top - mirrorRect.top - element.scrollTop, box.top),
+      Math.max(box.top, box.bottom - last.height)
+    );
+    result = {
+      left,
+      top,
+      right,
+      bottom: top + last.height,
+      width: right - left,
+      height: last.height
+    };
+  } finally {
+    mirror.remove();
+  }
+  return result;
+}
+
+// 用 replacement 替换选区中的原文；原文首尾的空白保留（双击选词时可能带上后面的空格）
+// 原文在翻译期间被修改或编辑器已移除时不替换，返回 false
+function replaceEditableText(target, replacement) {
+  const original = target.text;
+  const value =
+    original.match(/^\s*/)[0] + replacement + original.match(/\s*$/)[0];
+  const el = target.element;
+  if (!el.isConnected) return false;
+
+  if (target.kind === "control") {
+    if (el.value.slice(target.start, target.end) !== original) return false;
+    el.focus({ preventScroll: true });
+    el.setSelectionRange(target.start, target.end);
+    // execCommand 已废弃但仍是唯一能保留撤销记录的方式；不可用时退回 setRangeText
+    if (!document.execCommand("insertText", false, value)) {
+      el.setRangeText(value, target.start, target.end, "end");
+      el.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+    return true;
+  }
+
+  const range = target.range;
+  if (range.toString() !== original) return false;
+  el.focus({ preventScroll: true });
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  if (!document.execCommand("insertText", false, value)) {
+    range.deleteContents();
+    range.insertNode(document.createTextNode(value));
+    el.dispatchEvent(
+      new InputEvent("input", { bubbles: true, inputType: "insertText", data: value })
+    );
+  }
+  return true;
+}
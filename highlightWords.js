@@ -0,0 +1,448 @@
+// highlightWords.js
+// 在网页中高亮查过的单词（内容脚本，依赖 lookedUpWords.js，以及 contentScript.js 中的浮层 Shadow DOM 与主题）
+// - 设置 highlightWords 为 starred（仅生词本）或 all（查过的全部单词）时，为页面中的这些单词加上淡淡的下划线
+// - 使用 CSS Custom Highlight API：只登记文字范围，不插入或包裹任何节点，网页布局与脚本不受影响
+// - 首次扫描以及 MutationObserver 发现的新增 / 修改文字都在空闲时分批处理，每批限定耗时
+// - 鼠标停在高亮的单词上时显示保存的译文，不发起网络请求
+// - 网站规则为“停用”的网站不高亮
+// - Shadow DOM（Web Components）中的文字不扫描：文档中的 ::highlight() 样式不作用于 Shadow 树，
+//   组件稍后才创建的 Shadow Root 也不会产生 DOM 变化记录
+
+// ::highlight() 的名称：查过的单词与生词本中的单词使用不同颜色
+const HIGHLIGHT_NAME_LOOKED_UP = "dtp-looked-up";
+const HIGHLIGHT_NAME_STARRED = "dtp-starred";
+// 单个页面最多登记的范围数，避免长文档占用过多内存
+const HIGHLIGHT_MAX_RANGES = 3000;
+// 每批扫描的最长耗时（毫秒）
+const HIGHLIGHT_BATCH_MS = 8;
+const HIGHLIGHT_TOOLTIP_DELAY_MS = 300;
+// 这些区域内的文字不高亮（代码、输入控件、可编辑区域、全文翻译插入的译文）
+const HIGHLIGHT_SKIP_SELECTOR =
+  "script, style, noscript, textarea, select, code, pre, svg, [contenteditable=''], [contenteditable='true'], .dtp-bilingual";
+// 与 lookedUpWords.js 中 LOOKED_UP_WORD_PATTERN 对应的分词规则
+const HIGHLIGHT_TOKEN_PATTERN = /[\p{L}\p{M}]+(?:['’-][\p{L}\p{M}]+)*/gu;
+
+// off / starred / all；未启用（或浏览器不支持、网站停用）时为 off
+let highlightMode = "off";
+// 单词 → { translation, ipa, starred, ... }，按当前模式过滤
+let highlightWordMap = new Map();
+let highlightRegistries = null;
+// 文本节点 → 其中登记的 StaticRange 列表，重新扫描或节点移除时用于撤销
+let highlightNodeRanges = new Map();
+let highlightRangeCount = 0;
+// 待扫描的任务 { root, words }，以及正在扫描的 TreeWalker 与其单词范围
+// words 为 null 时按全部单词重新扫描；为 Set 时只补充登记这些新增的单词，保留已有范围
+let highlightPendingRoots = [];
+let highlightWalker = null;
+let highlightWalkerWords = null;
+let highlightScanScheduled = false;
+// 有节点被移除时，下一批扫描前清理失效的范围
+let highlightNeedsPrune = false;
+let highlightObserver = null;
+
+let highlightTooltip = null;
+let highlightTooltipTimer = null;
+// 当前提示对应的单词矩形，鼠标移出后隐藏
+let highlightTooltipRect = null;
+
+function isWordHighlightSupported() {
+  return (
+    typeof CSS !== "undefined" &&
+    !!CSS.highlights &&
+    typeof Highlight === "function" &&
+    typeof StaticRange === "function"
+  );
+}
+
+// 设置或网站规则变化时调用；模式不变时不重新扫描
+function updateWordHighlighting(settings) {
+  const next =
+    settings.highlightWords !== "off" &&
+    isWordHighlightSupported() &&
+    getSiteTrigger() !== "disabled"
+      ? settings.highlightWords
+      : "off";
+  if (next === highlightMode) return;
+
+  stopWordHighlighting();
+  highlightMode = next;
+  if (next === "off") return;
+
+  loadLookedUpWords().then((map) => {
+    if (highlightMode !== next) return;
+    highlightWordMap = filterHighlightWords(map, next);
+    startWordHighlighting();
+  });
+}
+
+function filterHighlightWords(map, mode) {
+  const result = new Map();
+  for (const key of Object.keys(map)) {
+    const entry = map[key];
+    if (entry && entry.translation && (mode === "all" || entry.starred)) {
+      result.set(key, entry);
+    }
+  }
+  return result;
+}
+
+function startWordHighlighting() {
+  if (!document.body) return;
+  ensureHighlightStyle();
+  if (!highlightRegistries) {
+    highlightRegistries = {
+      lookedUp: new Highlight(),
+      starred: new Highlight()
+    };
+    CSS.highlights.set(HIGHLIGHT_NAME_LOOKED_UP, highlightRegistries.lookedUp);
+    CSS.highlights.set(HIGHLIGHT_NAME_STARRED, highlightRegistries.starred);
+  }
+
+  queueHighlightScan(document.body);
+
+  if (!highlightObserver) {
+    highlightObserver = new MutationObserver(handleHighlightMutations);
+    highlightObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+  }
+}
+
+function stopWordHighlighting() {
+  if (highlightObserver) {
+    highlightObserver.disconnect();
+    highlightObserver = null;
+  }
+  if (highlightRegistries) {
+    CSS.highlights.delete(HIGHLIGHT_NAME_LOOKED_UP);
+    CSS.highlights.delete(HIGHLIGHT_NAME_STARRED);
+    highlightRegistries = null;
+  }
+  highlightNodeRanges = new Map();
+  highlightRangeCount = 0;
+  highlightPendingRoots = [];
+  highlightWalker = null;
+  highlightWalkerWords = null;
+  highlightWordMap = new Map();
+  hideHighlightTooltip();
+}
+
+// 查过的单词变化后（每次查询新单词都会触发，所有标签页与 frame 都会收到）：
+// - 只有新增单词时在页面中补充登记这些单词，已有范围保持不变
+// - 有单词被移除或 starred 标记变化（颜色不同）时才整页重新扫描
+// - 只有译文等数据变化时只更新提示中使用的数据
+function handleLookedUpWordsChanged(map) {
+  if (highlightMode === "off") return;
+  const next = filterHighlightWords(map, highlightMode);
+  const prev = highlightWordMap;
+  highlightWordMap = next;
+  if (!highlightRegistries) return;
+
+  const needsFullScan = Array.from(prev.keys()).some(
+    (key) => !next.has(key) || next.get(key).starred !== prev.get(key).starred
+  );
+  if (needsFullScan) {
+    highlightRegistries.lookedUp.clear();
+    highlightRegistries.starred.clear();
+    highlightNodeRanges = new Map();
+    highlightRangeCount = 0;
+    highlightPendingRoots = [];
+    highlightWalker = null;
+    highlightWalkerWords = null;
+    queueHighlightScan(document.body);
+    return;
+  }
+
+  const added = new Set(Array.from(next.keys()).filter((key) => !prev.has(key)));
+  if (added.size > 0) {
+    queueHighlightScan(document.body, added);
+  }
+}
+
+// 与全文翻译相同，在页面中插入一段 <style>（::highlight() 只能在文档样式表中定义）
+function ensureHighlightStyle() {
+  if (document.getElementById("dtp-highlight-style")) return;
+
+  const style = document.createElement("style");
+  style.id = "dtp-highlight-style";
+  style.textContent = `
+    ::highlight(${HIGHLIGHT_NAME_LOOKED_UP}) {
+      text-decoration: underline dotted rgba(37, 99, 235, 0.75);
+      text-decoration-thickness: 2px;
+    }
+    ::highlight(${HIGHLIGHT_NAME_STARRED}) {
+      text-decoration: underline dotted rgba(217, 119, 6, 0.85);
+      text-decoration-thickness: 2px;
+    }
+  `;
+  (document.head || document.documentElement).appendChild(style);
+}
+
+// ------------------ 扫描 ------------------
+
+function queueHighlightScan(root, words) {
+  highlightPendingRoots.push({ root, words: words || null });
+  scheduleHighlightScan();
+}
+
+function scheduleHighlightScan() {
+  if (highlightScanScheduled) return;
+  highlightScanScheduled = true;
+  if (typeof requestIdleCallback === "function") {
+    requestIdleCallback(runHighlightScan, { timeout: 1000 });
+  } else {
+    setTimeout(runHighlightScan, 50);
+  }
+}
+
+function isHighlightSkipped(node) {
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return !el || el === hostElement || !!el.closest(HIGHLIGHT_SKIP_SELECTOR);
+}
+
+// 跳过的元素连同子树一起跳过；其余元素只是不作为结果返回
+function createHighlightWalker(root) {
+  return document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+      return node.matches(HIGHLIGHT_SKIP_SELECTOR) || node === hostElement
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_SKIP;
+    }
+  });
+}
+
+function runHighlightScan() {
+  highlightScanScheduled = false;
+  if (highlightMode === "off") return;
+
+  const start = performance.now();
+  if (highlightNeedsPrune) {
+    pruneHighlightRanges();
+  }
+
+  while (performance.now() - start < HIGHLIGHT_BATCH_MS) {
+    if (!highlightWalker) {
+      const job = highlightPendingRoots.shift();
+      if (!job) return;
+      const root = job.root;
+      if (!root.isConnected || isHighlightSkipped(root)) continue;
+      if (root.nodeType === Node.TEXT_NODE) {
+        highlightTextNode(root, job.words);
+        continue;
+      }
+      highlightWalker = createHighlightWalker(root);
+      highlightWalkerWords = job.words;
+    }
+
+    const node = highlightWalker.nextNode();
+    if (node) {
+      highlightTextNode(node, highlightWalkerWords);
+    } else {
+      highlightWalker = null;
+      highlightWalkerWords = null;
+    }
+  }
+  scheduleHighlightScan();
+}
+
+function removeHighlightRanges(node) {
+  const ranges = highlightNodeRanges.get(node);
+  if (!ranges) return;
+  for (const range of ranges) {
+    highlightRegistries.lookedUp.delete(range);
+    highlightRegistries.starred.delete(range);
+  }
+  highlightRangeCount -= ranges.length;
+  highlightNodeRanges.delete(node);
+}
+
+function pruneHighlightRanges() {
+  highlightNeedsPrune = false;
+  for (const node of Array.from(highlightNodeRanges.keys())) {
+    if (!node.isConnected) {
+      removeHighlightRanges(node);
+    }
+  }
+}
+
+// words 为 Set 时只补充登记其中的单词（同一位置已登记过的跳过），否则先撤销该节点的范围再整体扫描
+function highlightTextNode(node, words) {
+  if (!words) {
+    removeHighlightRanges(node);
+  }
+  const text = node.data;
+  if (text.length < 2 || highlightWordMap.size === 0) return;
+
+  const existing = highlightNodeRanges.get(node) || [];
+  const ranges = [];
+  HIGHLIGHT_TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = HIGHLIGHT_TOKEN_PATTERN.exec(text))) {
+    if (highlightRangeCount + ranges.length >= HIGHLIGHT_MAX_RANGES) break;
+    const key = match[0].toLowerCase().replace(/’/g, "'");
+    if (words && !words.has(key)) continue;
+    const entry = highlightWordMap.get(key);
+    if (!entry) continue;
+    if (words && existing.some((r) => r.startOffset === match.index)) continue;
+
+    const range = new StaticRange({
+      startContainer: node,
+      startOffset: match.index,
+      endContainer: node,
+      endOffset: match.index + match[0].length
+    });
+    (entry.starred ? highlightRegistries.starred : highlightRegistries.lookedUp).add(range);
+    ranges.push(range);
+  }
+
+  if (ranges.length > 0) {
+    highlightNodeRanges.set(node, existing.concat(ranges));
+    highlightRangeCount += ranges.length;
+  }
+}
+
+function handleHighlightMutations(mutations) {
+  for (const m of mutations) {
+    if (m.type === "characterData") {
+      queueHighlightScan(m.target);
+      continue;
+    }
+    if (m.removedNodes.length > 0) {
+      highlightNeedsPrune = true;
+    }
+    for (const node of m.addedNodes) {
+      if (node === hostElement) continue;
+      if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
+        queueHighlightScan(node);
+      }
+    }
+  }
+  if (highlightNeedsPrune) {
+    scheduleHighlightScan();
+  }
+}
+
+// ------------------ 悬停提示 ------------------
+
+// 坐标处的高亮单词：{ key, entry, rect }，没有时返回 null
+function getHighlightedWordAtPoint(x, y) {
+  const caret = getCaretAtPoint(x, y);
+  if (!caret) return null;
+  const ranges = highlightNodeRanges.get(caret.node);
+  if (!ranges) return null;
+
+  for (const r of ranges) {
+    if (caret.offset < r.startOffset || caret.offset > r.endOffset) continue;
+    const range = document.createRange();
+    range.setStart(r.startContainer, r.startOffset);
+    range.setEnd(r.endContainer, r.endOffset);
+    const rect = Array.from(range.getClientRects()).find(
+      (cr) => x >= cr.left && x <= cr.right && y >= cr.top && y <= cr.bottom
+    );
+    if (!rect) continue;
+
+    const key = range.toString().toLowerCase().replace(/’/g, "'");
+    const entry = highlightWordMap.get(key);
+    return entry ? { key, entry, rect } : null;
+  }
+  return null;
+}
+
+function handleHighlightPointerMove(event) {
+  if (highlightMode === "off" || highlightNodeRanges.size === 0) return;
+
+  if (highlightTooltipRect) {
+    const r = highlightTooltipRect;
+    if (
+      event.clientX < r.left ||
+      event.clientX > r.right ||
+      event.clientY < r.top ||
+      event.clientY > r.bottom
+    ) {
+      hideHighlightTooltip();
+    }
+  }
+
+  clearTimeout(highlightTooltipTimer);
+  // 划词（按住鼠标）或按住悬停取词的修饰键时不显示
+  if (event.buttons !== 0 || isHoverModifierHeld(event, userSettings.hoverModifier)) return;
+
+  const x = event.clientX;
+  const y = event.clientY;
+  highlightTooltipTimer = setTimeout(() => {
+    const hit = getHighlightedWordAtPoint(x, y);
+    if (hit) {
+      showHighlightTooltip(hit);
+    }
+  }, HIGHLIGHT_TOOLTIP_DELAY_MS);
+}
+
+function showHighlightTooltip(hit) {
+  ensureOverlayCreated();
+  if (!highlightTooltip) {
+    highlightTooltip = document.createElement("div");
+    highlightTooltip.className = "dtp-tip";
+    highlightTooltip.setAttribute("role", "tooltip");
+    highlightTooltip.innerHTML = `
+      <div class="dtp-tip-head">
+        <span class="dtp-tip-word"></span>
+        <span class="dtp-tip-ipa"></span>
+        <span class="dtp-tip-star" title="在生词本中">★</span>
+      </div>
+      <div class="dtp-tip-translation"></div>
+    `;
+    shadowRoot.appendChild(highlightTooltip);
+  }
+
+  const tip = highlightTooltip;
+  tip.querySelector(".dtp-tip-word").textContent = hit.key;
+  tip.querySelector(".dtp-tip-ipa").textContent = hit.entry.ipa || "";
+  tip.querySelector(".dtp-tip-star").style.display = hit.entry.starred ? "" : "none";
+  tip.querySelector(".dtp-tip-translation").textContent = hit.entry.translation;
+  tip.classList.remove("dtp-theme-light", "dtp-theme-dark");
+  tip.classList.add(getEffectiveTheme() === "dark" ? "dtp-theme-dark" : "dtp-theme-light");
+  tip.style.display = "block";
+
+  // 默认显示在单词上方，空间不足时放到下方
+  const rect = hit.rect;
+  const width = tip.offsetWidth;
+  const height = tip.offsetHeight;
+  const left = Math.min(Math.max(rect.left, 8), window.innerWidth - width - 8);
+  const top = rect.top - height - 6 >= 0 ? rect.top - height - 6 : rect.bottom + 6;
+  tip.style.left = Math.max(left, 0) + "px";
+  tip.style.top = top + "px";
+  highlightTooltipRect = rect;
+}
+
+function hideHighlightTooltip() {
+  clearTimeout(highlightTooltipTimer);
+  highlightTooltipRect = null;
+  if (highlightTooltip) {
+    highlightTooltip.style.display = "none";
+  }
+}
+
+function setupWordHighlighting() {
+  getSettings().then((settings) => {
+    updateWordHighlighting(settings);
+  });
+  onSettingsChanged((settings) => {
+    updateWordHighlighting(settings);
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[LOOKED_UP_WORDS_STORAGE_KEY]) {
+      const map = changes[LOOKED_UP_WORDS_STORAGE_KEY].newValue;
+      handleLookedUpWordsChanged(map && typeof map === "object" ? map : {});
+    }
+  });
+
+  document.addEventListener("mousemove", handleHighlightPointerMove, { passive: true });
+  window.addEventListener("scroll", hideHighlightTooltip, { passive: true, capture: true });
+  window.addEventListener("blur", hideHighlightTooltip);
+}
+
+setupWordHighlighting();
@@ -0,0 +1,271 @@
+// history.js
+// 查词历史页面：搜索（原文、译文、页面标题）、按网站与日期筛选、重播发音、跳回来源页面
+// 历史由 background 在浮层 / 弹窗查询成功后写入（见 historyStore.js）
+
+// 来自工具栏弹窗的查询没有来源页面，在网站筛选中归为一项
+const NO_SITE = "-";
+
+let allEntries = [];
+let ttsSettings = { ...DEFAULT_SETTINGS };
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function formatDay(ts) {
+  const d = new Date(ts);
+  return d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate());
+}
+
+function formatTime(ts) {
+  const d = new Date(ts);
+  return pad(d.getHours()) + ":" + pad(d.getMinutes());
+}
+
+function getSite(entry) {
+  if (!entry.url) return NO_SITE;
+  try {
+    return new URL(entry.url).hostname;
+  } catch (e) {
+    return NO_SITE;
+  }
+}
+
+// 跳回来源页面时用文本片段（#:~:text=）定位并高亮查询的文本
+function getSourceLink(entry) {
+  const fragment =
+    ":~:text=" + encodeURIComponent(entry.text).replace(/-/g, "%2D");
+  return entry.url + (entry.url.includes("#") ? "" : "#") + fragment;
+}
+
+// 网站下拉框按查询次数排序
+function renderSiteOptions() {
+  const select = $("site");
+  const selected = select.value;
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+
+  const counts = new Map();
+  for (const e of allEntries) {
+    const site = getSite(e);
+    counts.set(site, (counts.get(site) || 0) + 1);
+  }
+  const sites = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+  for (const site of sites) {
+    const option = document.createElement("option");
+    option.value = site;
+    option.textContent =
+      (site === NO_SITE ? "工具栏弹窗" : site) + "（" + counts.get(site) + "）";
+    select.appendChild(option);
+  }
+
+  select.value = selected;
+  if (select.value !== selected) {
+    select.value = "";
+  }
+}
+
+function getRangeStart() {
+  const range = $("range").value;
+  if (range === "all") return 0;
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  if (range !== "today") {
+    start.setDate(start.getDate() - Number(range) + 1);
+  }
+  return start.getTime();
+}
+
+// 最新的在前
+function getVisibleEntries() {
+  const keyword = $("search").value.trim().toLowerCase();
+  const site = $("site").value;
+  const since = getRangeStart();
+
+  return allEntries
+    .filter((e) => e.time >= since)
+    .filter((e) => !site || getSite(e) === site)
+    .filter(
+      (e) =>
+        !keyword ||
+        [e.text, e.translation, e.context, e.title].some(
+          (field) => field && field.toLowerCase().includes(keyword)
+        )
+    )
+    .reverse();
+}
+
+function createButton(label, className, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  if (className) btn.className = className;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function play(entry) {
+  const lang = getLanguage(entry.sourceLang || detectLanguage(entry.text));
+  speakText(entry.text, {
+    rate: ttsSettings.ttsRate,
+    voice: ttsSettings.ttsVoice,
+    lang: lang ? lang.tts : "en-US",
+    audio: entry.audio
+  });
+}
+
+function renderEntry(entry) {
+  const item = document.createElement("div");
+  item.className = "entry";
+
+  const head = document.createElement("div");
+  head.className = "entry-head";
+
+  const text = document.createElement("span");
+  text.className = "entry-text";
+  text.textContent = entry.text;
+  head.appendChild(text);
+
+  if (entry.ipa) {
+    const ipa = document.createElement("span");
+    ipa.className = "entry-ipa";
+    ipa.textContent = entry.ipa;
+    head.appendChild(ipa);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "entry-actions";
+  actions.appendChild(
+    createButton("播放", "secondary", () => {
+      play(entry);
+    })
+  );
+  actions.appendChild(
+    createButton("删除", "danger", () => {
+      deleteHistoryEntry(entry.id).catch((err) => {
+        console.error("删除查词历史失败", err);
+      });
+    })
+  );
+  head.appendChild(actions);
+  item.appendChild(head);
+
+  const translation = document.createElement("div");
+  translation.className = "entry-translation";
+  translation.textContent = entry.translation;
+  item.appendChild(translation);
+
+  if (entry.context) {
+    const context = document.createElement("div");
+    context.className = "entry-context";
+    context.textContent = entry.context;
+    if (entry.contextTranslation) {
+      const contextTranslation = document.createElement("div");
+      contextTranslation.textContent = entry.contextTranslation;
+      context.appendChild(contextTranslation);
+    }
+    item.appendChild(context);
+  }
+
+  const meta = document.createElement("div");
+  meta.className = "entry-meta";
+  const parts = [formatTime(entry.time)];
+  if (entry.provider) parts.push("翻译来源：" + entry.provider);
+  meta.textContent = parts.join(" · ");
+  if (entry.url) {
+    meta.appendChild(document.createTextNode(" · "));
+    const link = document.createElement("a");
+    link.href = getSourceLink(entry);
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.title = entry.url;
+    link.textContent = entry.title || entry.url;
+    meta.appendChild(link);
+  }
+  item.appendChild(meta);
+
+  return item;
+}
+
+// 按日期分组展示
+function render() {
+  const list = getVisibleEntries();
+  const container = $("list");
+  container.textContent = "";
+
+  $("count").textContent =
+    "共 " + allEntries.length + " 条" +
+    (list.length !== allEntries.length ? "，匹配 " + list.length + " 条" : "") +
+    "（最多保留最近 " + HISTORY_MAX_ENTRIES + " 条）";
+
+  if (list.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "empty";
+    empty.textContent = allEntries.length
+      ? "没有匹配的记录"
+      : "暂无查词历史。在网页浮层或工具栏弹窗中查询后会记录在这里。";
+    container.appendChild(empty);
+    return;
+  }
+
+  let lastDay = "";
+  for (const entry of list) {
+    const day = formatDay(entry.time);
+    if (day !== lastDay) {
+      const header = document.createElement("div");
+      header.className = "day";
+      header.textContent = day;
+      container.appendChild(header);
+      lastDay = day;
+    }
+    container.appendChild(renderEntry(entry));
+  }
+}
+
+function refresh() {
+  return loadHistory().then((entries) => {
+    allEntries = entries;
+    renderSiteOptions();
+    render();
+  });
+}
+
+function bindEvents() {
+  $("search").addEventListener("input", () => {
+    render();
+  });
+  $("site").addEventListener("change", () => {
+    render();
+  });
+  $("range").addEventListener("change", () => {
+    render();
+  });
+  $("clear").addEventListener("click", () => {
+    if (!confirm("确定清空全部查词历史吗？")) return;
+    clearHistory();
+  });
+
+  // background 写入新记录、删除或清空后同步刷新
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[HISTORY_STORAGE_KEY]) {
+      refresh();
+    }
+  });
+  onSettingsChanged((settings) => {
+    ttsSettings = settings;
+  });
+}
+
+window.addEventListener("DOMContentLoaded", () => {
+  initVoices();
+  bindEvents();
+  getSettings().then((settings) => {
+    ttsSettings = settings;
+  });
+  refresh();
+});
@@ -0,0 +1,119 @@
+// historyStore.js
+// 查词历史：background（importScripts）与历史页面共用
+// 数据保存在 chrome.storage.local 的 "lookupHistory" 键下，按时间先后排列的条目数组：
+// { id, text, translation, provider, sourceLang, targetLang, ipa, audio, context, contextTranslation, url, title, time }
+// context 为查词时单词所在的句子，contextTranslation 为其译文（与生词本相同，没有时为空字符串）
+// 只保留最近 HISTORY_MAX_ENTRIES 条；background 先累计在内存中，稍后合并写入（与诊断记录相同）
+
+const HISTORY_STORAGE_KEY = "lookupHistory";
+const HISTORY_MAX_ENTRIES = 1000;
+// 同一页面在此时间内重复查询同一文本时只更新时间，不重复记录
+const HISTORY_MERGE_WINDOW_MS = 10 * 60 * 1000;
+
+let pendingHistoryEntries = [];
+let historyFlushTimer = null;
+
+function createHistoryId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function normalizeHistoryEntry(raw) {
+  return {
+    id: raw.id || createHistoryId(),
+    text: String(raw.text || "").trim(),
+    translation: raw.translation || "",
+    provider: raw.provider || "",
+    sourceLang: raw.sourceLang || "",
+    targetLang: raw.targetLang || "",
+    ipa: raw.ipa || null,
+    audio: raw.audio || null,
+    context: typeof raw.context === "string" ? raw.context : "",
+    contextTranslation: typeof raw.contextTranslation === "string" ? raw.contextTranslation : "",
+    url: raw.url || "",
+    title: raw.title || "",
+    time: typeof raw.time === "number" ? raw.time : Date.now()
+  };
+}
+
+function loadHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(HISTORY_STORAGE_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn("读取查词历史失败", chrome.runtime.lastError);
+        resolve([]);
+        return;
+      }
+      const list = result[HISTORY_STORAGE_KEY];
+      resolve(Array.isArray(list) ? list : []);
+    });
+  });
+}
+
+function saveHistory(entries) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// 记录一次成功的查询（background 调用）
+function recordHistoryEntry(data) {
+  const entry = normalizeHistoryEntry(data);
+  if (!entry.text) return;
+  pendingHistoryEntries.push(entry);
+
+  if (!historyFlushTimer) {
+    historyFlushTimer = setTimeout(flushHistory, 1000);
+  }
+}
+
+// 将内存中的记录合并写入存储，返回 Promise
+async function flushHistory() {
+  if (historyFlushTimer) {
+    clearTimeout(historyFlushTimer);
+    historyFlushTimer = null;
+  }
+  const pending = pendingHistoryEntries;
+  pendingHistoryEntries = [];
+  if (pending.length === 0) return;
+
+  const entries = await loadHistory();
+  for (const entry of pending) {
+    const last = entries[entries.length - 1];
+    if (
+      last &&
+      last.url === entry.url &&
+      last.text.toLowerCase() === entry.text.toLowerCase() &&
+      entry.time - last.time < HISTORY_MERGE_WINDOW_MS
+    ) {
+      entries[entries.length - 1] = { ...entry, id: last.id };
+    } else {
+      entries.push(entry);
+    }
+  }
+
+  try {
+    await saveHistory(entries.slice(-HISTORY_MAX_ENTRIES));
+  } catch (err) {
+    console.warn("保存查词历史失败", err);
+  }
+}
+
+async function deleteHistoryEntry(id) {
+  const entries = await loadHistory();
+  const next = entries.filter((e) => e.id !== id);
+  await saveHistory(next);
+  return entries.length !== next.length;
+}
+
+function clearHistory() {
+  pendingHistoryEntries = [];
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(HISTORY_STORAGE_KEY, () => resolve());
+  });
+}
@@ -0,0 +1,195 @@
+// hoverTranslate.js
+// 悬停取词（内容脚本，依赖 contentScript.js 中的 translateText、句子提取与浮层）
+// - 按住设置中的修饰键（Alt / Ctrl / Shift）并把鼠标停在文本上，停留 hoverDelayMs 后翻译光标下的单词
+// - 同时按住第二个修饰键时翻译光标所在的整句
+// - 通过 caretPositionFromPoint / caretRangeFromPoint 定位光标下的文字，不创建选区，不影响链接与按钮的点击
+//   光标在 Web Components 的开放 Shadow DOM 中时把沿途的 Shadow Root 传给 caretPositionFromPoint
+// - 网站规则为“停用”的网站不触发；右键菜单与快捷键不受影响
+// - 悬停取词的结果不写入查词历史（见 translateText() 的 recordHistory 选项）
+// - 扫读时请求量大：不使用对比模式，单词也不附带整句译文（需要整句时按住第二个修饰键）
+
+// 修饰键 → MouseEvent / KeyboardEvent 上对应的属性与 key 值
+const HOVER_MODIFIER_KEYS = {
+  alt: { prop: "altKey", key: "Alt" },
+  ctrl: { prop: "ctrlKey", key: "Control" },
+  shift: { prop: "shiftKey", key: "Shift" }
+};
+// 光标与文字矩形之间允许的误差（像素）
+const HOVER_HIT_TOLERANCE = 2;
+
+let hoverTimer = null;
+// 最近一次鼠标位置（修饰键在鼠标静止时按下也能触发）
+let hoverPointer = null;
+// 最近一次悬停翻译的文本与位置，鼠标在同一个词上移动时不重复请求
+let lastHoverKey = "";
+
+function isHoverModifierHeld(event, modifier) {
+  const info = HOVER_MODIFIER_KEYS[modifier];
+  return !!info && !!event[info.prop];
+}
+
+function cancelHoverTimer() {
+  if (hoverTimer) {
+    clearTimeout(hoverTimer);
+    hoverTimer = null;
+  }
+}
+
+function scheduleHoverTranslate(event) {
+  const modifier = userSettings.hoverModifier;
+  if (modifier === "off" || !isHoverModifierHeld(event, modifier)) {
+    cancelHoverTimer();
+    return;
+  }
+  if (getSiteTrigger() === "disabled") return;
+
+  const pointer = {
+    clientX: event.clientX,
+    clientY: event.clientY,
+    sentence:
+      userSettings.hoverSentenceModifier !== modifier &&
+      isHoverModifierHeld(event, userSettings.hoverSentenceModifier)
+  };
+
+  cancelHoverTimer();
+  hoverTimer = setTimeout(() => {
+    hoverTimer = null;
+    translateAtPointer(pointer);
+  }, userSettings.hoverDelayMs);
+}
+
+// 坐标处的插入点：{ node, offset }；caretRangeFromPoint 不会进入 Shadow DOM
+function getCaretAtPoint(x, y) {
+  const roots = getShadowRootsAtPoint(x, y);
+  if (roots.length > 0 && document.caretPositionFromPoint) {
+    try {
+      const pos = document.caretPositionFromPoint(x, y, { shadowRoots: roots });
+      if (pos && pos.offsetNode) return { node: pos.offsetNode, offset: pos.offset };
+    } catch (e) {
+      // 不支持 options 参数的版本按普通页面处理
+    }
+  }
+  const caret = document.caretRangeFromPoint ? document.caretRangeFromPoint(x, y) : null;
+  return caret ? { node: caret.startContainer, offset: caret.startOffset } : null;
+}
+
+// 光标下的单词范围；光标不在文字上（空白处、行尾之后）时返回 null
+function getWordRangeAtPoint(x, y) {
+  const caret = getCaretAtPoint(x, y);
+  if (!caret || caret.node.nodeType !== Node.TEXT_NODE) return null;
+
+  const node = caret.node;
+  const offset = caret.offset;
+  const text = node.data;
+
+  let start = -1;
+  let end = -1;
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    // 按词切分（对中日文等没有空格的文字同样有效）
+    const segmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+    for (const seg of segmenter.segment(text)) {
+      const segEnd = seg.index + seg.segment.length;
+      // 光标在单词右半边时 caret 落在下一个字符之前，因此包含 segEnd
+      if (seg.isWordLike && offset >= seg.index && offset <= segEnd) {
+        start = seg.index;
+        end = segEnd;
+        if (offset < segEnd) break;
+      }
+    }
+  } else {
+    const isWordChar = (ch) => /[\p{L}\p{N}'\-]/u.test(ch);
+    start = offset;
+    end = offset;
+    while (start > 0 && isWordChar(text[start - 1])) start -= 1;
+    while (end < text.length && isWordChar(text[end])) end += 1;
+  }
+  if (start < 0 || end <= start) return null;
+
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+
+  const hit = Array.from(range.getClientRects()).some(
+    (r) =>
+      x >= r.left - HOVER_HIT_TOLERANCE &&
+      x <= r.right + HOVER_HIT_TOLERANCE &&
+      y >= r.top - HOVER_HIT_TOLERANCE &&
+      y <= r.bottom + HOVER_HIT_TOLERANCE
+  );
+  return hit ? range : null;
+}
+
+function translateAtPointer(pointer) {
+  if (!pointer) return;
+  try {
+    // 鼠标停在浮层或固定卡片上时不取词
+    const target = document.elementFromPoint(pointer.clientX, pointer.clientY);
+    if (hostElement && target === hostElement) return;
+
+    const range = getWordRangeAtPoint(pointer.clientX, pointer.clientY);
+    if (!range) return;
+
+    const word = range.toString().trim();
+    if (!word) return;
+    const sentence = pointer.sentence ? extractSentenceContext(range, word) : "";
+    const text = sentence || word;
+
+    const rect = getRangeAnchorRect(range);
+    const key = text + "@" + (rect ? Math.round(rect.left) + "," + Math.round(rect.top) : "");
+    if (key === lastHoverKey && currentData.text === text) return;
+    lastHoverKey = key;
+
+    translateText(
+      text,
+      { rect, clientX: pointer.clientX, clientY: pointer.clientY },
+      // 扫读时鼠标停过的单词不算查询，不记录历史，也不会因此在页面中被高亮
+      { recordHistory: false, compare: false }
+    );
+  } catch (e) {
+    console.error("悬停取词出错", e);
+  }
+}
+
+function setupHoverListeners() {
+  document.addEventListener(
+    "mousemove",
+    (event) => {
+      if (userSettings.hoverModifier === "off") return;
+      hoverPointer = { clientX: event.clientX, clientY: event.clientY };
+      scheduleHoverTranslate(event);
+    },
+    { passive: true }
+  );
+
+  // 鼠标静止时按下修饰键（或追加第二个修饰键）也开始计时
+  document.addEventListener("keydown", (event) => {
+    if (!hoverPointer || event.repeat) return;
+    const modifier = HOVER_MODIFIER_KEYS[userSettings.hoverModifier];
+    const sentenceModifier = HOVER_MODIFIER_KEYS[userSettings.hoverSentenceModifier];
+    if (
+      (modifier && event.key === modifier.key) ||
+      (sentenceModifier && event.key === sentenceModifier.key)
+    ) {
+      scheduleHoverTranslate({
+        ...hoverPointer,
+        altKey: event.altKey,
+        ctrlKey: event.ctrlKey,
+        shiftKey: event.shiftKey
+      });
+    }
+  });
+
+  document.addEventListener("keyup", (event) => {
+    const modifier = HOVER_MODIFIER_KEYS[userSettings.hoverModifier];
+    if (modifier && event.key === modifier.key) {
+      cancelHoverTimer();
+    }
+  });
+
+  // 切换窗口或标签页时修饰键的 keyup 可能丢失
+  window.addEventListener("blur", () => {
+    cancelHoverTimer();
+  });
+}
+
+setupHoverListeners();
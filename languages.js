@@ -0,0 +1,105 @@
+// languages.js
+// 语言列表与源语言检测，供 background（importScripts）、内容脚本与选项页共用
+// - code：扩展内部使用的语言代码（设置、消息、缓存键）
+// - libre / mymemory：各翻译接口使用的语言代码
+// - tts：朗读时使用的 BCP 47 语言标签
+// - script：书写系统，用于在固定源语言时判断选中文本是否属于该语言
+// - name：界面显示名称，浮层标签为 name + "翻译"
+
+const LANGUAGES = [
+  { code: "zh", name: "中文", libre: "zh", mymemory: "zh-CN", tts: "zh-CN", script: "cjk" },
+  { code: "zh-TW", name: "繁体中文", libre: "zt", mymemory: "zh-TW", tts: "zh-TW", script: "cjk" },
+  { code: "en", name: "英文", libre: "en", mymemory: "en", tts: "en-US", script: "latin" },
+  { code: "ja", name: "日文", libre: "ja", mymemory: "ja", tts: "ja-JP", script: "cjk" },
+  { code: "ko", name: "韩文", libre: "ko", mymemory: "ko", tts: "ko-KR", script: "hangul" },
+  { code: "de", name: "德文", libre: "de", mymemory: "de", tts: "de-DE", script: "latin" },
+  { code: "fr", name: "法文", libre: "fr", mymemory: "fr", tts: "fr-FR", script: "latin" },
+  { code: "es", name: "西班牙文", libre: "es", mymemory: "es", tts: "es-ES", script: "latin" },
+  { code: "it", name: "意大利文", libre: "it", mymemory: "it", tts: "it-IT", script: "latin" },
+  { code: "pt", name: "葡萄牙文", libre: "pt", mymemory: "pt", tts: "pt-PT", script: "latin" },
+  { code: "ru", name: "俄文", libre: "ru", mymemory: "ru", tts: "ru-RU", script: "cyrillic" }
+];
+
+const DEFAULT_SOURCE_LANG = "auto";
+const DEFAULT_TARGET_LANG = "zh";
+
+function getLanguage(code) {
+  return LANGUAGES.find((l) => l.code === code) || null;
+}
+
+function getLanguageName(code) {
+  const lang = getLanguage(code);
+  return lang ? lang.name : code;
+}
+
+function getTranslationLabel(targetLang) {
+  return getLanguageName(targetLang || DEFAULT_TARGET_LANG) + "翻译";
+}
+
+// 同一语言的不同书写形式（zh / zh-TW）视为同一语言，用于判断“无需翻译”
+function isSameLanguageFamily(a, b) {
+  if (!a || !b) return false;
+  return a.split("-")[0] === b.split("-")[0];
+}
+
+// 文本已是目标语言时的反向翻译目标：目标为英文时译为默认目标语言，否则译为英文
+function getReverseTargetLang(targetLang) {
+  return isSameLanguageFamily(targetLang, "en") ? DEFAULT_TARGET_LANG : "en";
+}
+
+// 基于字符集的粗略语言检测（同步），没有可识别的文字时返回 ""
+// 拉丁字母文本只能根据少量特征字符区分德/法/西/葡，没有特征字符时无法判断语言，返回 "auto"
+// （交给 detectLanguageAsync() 或支持自动检测的翻译接口判断，不再默认视为英文）
+function detectLanguage(text) {
+  const s = String(text || "");
+  if (!s.trim()) return "";
+
+  if (/[\u3040-\u30FF]/.test(s)) return "ja";
+  if (/[\uAC00-\uD7AF\u1100-\u11FF]/.test(s)) return "ko";
+  if (/[\u4E00-\u9FFF]/.test(s)) return "zh";
+  if (/[\u0400-\u04FF]/.test(s)) return "ru";
+
+  const latin = (s.match(/[A-Za-z\u00C0-\u024F]/g) || []).length;
+  if (latin === 0) return "";
+
+  if (/[ßäöüÄÖÜ]/.test(s)) return "de";
+  if (/[ñÑ¿¡]/.test(s)) return "es";
+  if (/[ãõÃÕ]/.test(s)) return "pt";
+  if (/[éèêëàâçîïôûùœÉÈÊÀÇŒ]/.test(s)) return "fr";
+  return "auto";
+}
+
+// 文本的书写系统（同 LANGUAGES 中的 script），没有可识别的文字时返回 ""
+function detectScript(text) {
+  const detected = detectLanguage(text);
+  if (detected === "auto") return "latin";
+  const lang = getLanguage(detected);
+  return lang ? lang.script : "";
+}
+
+// 拉丁字母文本再用浏览器内置的语言检测（chrome.i18n.detectLanguage，background 与内容脚本均可用）细分；
+// 检测结果不可靠或不在 LANGUAGES 中时退回 detectLanguage() 的结果（可能为 "auto"）
+function detectLanguageAsync(text) {
+  const detected = detectLanguage(text);
+  const lang = getLanguage(detected);
+  if (
+    (detected !== "auto" && !(lang && lang.script === "latin")) ||
+    typeof chrome === "undefined" ||
+    !chrome.i18n ||
+    typeof chrome.i18n.detectLanguage !== "function"
+  ) {
+    return Promise.resolve(detected);
+  }
+
+  return new Promise((resolve) => {
+    chrome.i18n.detectLanguage(String(text), (result) => {
+      if (chrome.runtime.lastError || !result || !result.isReliable) {
+        resolve(detected);
+        return;
+      }
+      const top = Array.isArray(result.languages) ? result.languages[0] : null;
+      const match = top ? getLanguage(String(top.language).split("-")[0]) : null;
+      resolve(match && match.script === "latin" ? match.code : detected);
+    });
+  });
+}
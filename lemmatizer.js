@@ -0,0 +1,225 @@
+// lemmatizer.js
+// 英文词形还原（在 background 中通过 importScripts 使用）
+// - 不规则变化表：went → go、children → child、better → good 等
+// - 规则后缀剥离：-ies / -es / -s / -ied / -ed / -ing / -er / -est
+// - 只生成候选原形，是否为真实单词由调用方查词典确认
+
+// 词形类别与展示文字
+const WORD_FORM_LABELS = {
+  past: "过去式",
+  pastParticiple: "过去分词",
+  pastOrParticiple: "过去式 / 过去分词",
+  presentParticiple: "现在分词",
+  // be 的 am / are：一般现在时，但不是第三人称单数
+  present: "一般现在时",
+  thirdPerson: "第三人称单数",
+  plural: "复数",
+  pluralOrThird: "复数 / 第三人称单数",
+  comparative: "比较级",
+  superlative: "最高级"
+};
+
+// ECDICT exchange 字段中的键 → 词形类别
+const EXCHANGE_FORM_KEYS = {
+  p: "past",
+  d: "pastParticiple",
+  i: "presentParticiple",
+  3: "thirdPerson",
+  s: "plural",
+  r: "comparative",
+  t: "superlative"
+};
+
+// 不规则动词：原形 过去式 过去分词
+const IRREGULAR_VERBS = [
+  "arise arose arisen", "awake awoke awoken", "be was been", "be were been",
+  "bear bore born", "beat beat beaten", "become became become", "begin began begun",
+  "bend bent bent", "bet bet bet", "bind bound bound", "bite bit bitten",
+  "bleed bled bled", "blow blew blown", "break broke broken", "breed bred bred",
+  "bring brought brought", "build built built", "burn burnt burnt", "buy bought bought",
+  "catch caught caught", "choose chose chosen", "cling clung clung", "come came come",
+  "cost cost cost", "creep crept crept", "cut cut cut", "deal dealt dealt",
+  "dig dug dug", "do did done", "draw drew drawn", "dream dreamt dreamt",
+  "drink drank drunk", "drive drove driven", "eat ate eaten", "fall fell fallen",
+  "feed fed fed", "feel felt felt", "fight fought fought", "find found found",
+  "flee fled fled", "fly flew flown", "forbid forbade forbidden", "forget forgot forgotten",
+  "forgive forgave forgiven", "freeze froze frozen", "get got gotten", "give gave given",
+  "go went gone", "grind ground ground", "grow grew grown", "hang hung hung",
+  "have had had", "hear heard heard", "hide hid hidden", "hit hit hit",
+  "hold held held", "hurt hurt hurt", "keep kept kept", "kneel knelt knelt",
+  "know knew known", "lay laid laid", "lead led led", "lean leant leant",
+  "leap leapt leapt", "learn learnt learnt", "leave left left", "lend lent lent",
+  "let let let", "lie lay lain", "light lit lit", "lose lost lost",
+  "make made made", "mean meant meant", "meet met met", "mistake mistook mistaken",
+  "pay paid paid", "prove proved proven", "put put put", "quit quit quit",
+  "read read read", "ride rode ridden", "ring rang rung", "rise rose risen",
+  "run ran run", "say said said", "see saw seen", "seek sought sought",
+  "sell sold sold", "send sent sent", "set set set", "shake shook shaken",
+  "shine shone shone", "shoot shot shot", "show showed shown", "shrink shrank shrunk",
+  "shut shut shut", "sing sang sung", "sink sank sunk", "sit sat sat",
+  "sleep slept slept", "slide slid slid", "speak spoke spoken", "speed sped sped",
+  "spend spent spent", "spin spun spun", "split split split", "spread spread spread",
+  "spring sprang sprung", "stand stood stood", "steal stole stolen", "stick stuck stuck",
+  "sting stung stung", "strike struck struck", "strive strove striven", "swear swore sworn",
+  "sweep swept swept", "swim swam swum", "swing swung swung", "take took taken",
+  "teach taught taught", "tear tore torn", "tell told told", "think thought thought",
+  "throw threw thrown", "understand understood understood", "wake woke woken",
+  "wear wore worn", "weep wept wept", "win won won", "wind wound wound",
+  "withdraw withdrew withdrawn", "write wrote written"
+];
+
+// 其他不规则变化：原形 变化形式 词形类别
+const IRREGULAR_OTHERS = [
+  "child children plural", "man men plural", "woman women plural", "person people plural",
+  "foot feet plural", "tooth teeth plural", "goose geese plural", "mouse mice plural",
+  "ox oxen plural", "life lives plural", "wife wives plural", "knife knives plural",
+  "leaf leaves plural", "half halves plural", "analysis analyses plural",
+  "crisis crises plural", "criterion criteria plural", "phenomenon phenomena plural",
+  "datum data plural", "medium media plural", "be is thirdPerson", "be am present",
+  "be are present", "have has thirdPerson", "do does thirdPerson", "go goes thirdPerson",
+  "good better comparative", "good best superlative", "well better comparative",
+  "well best superlative", "bad worse comparative", "bad worst superlative",
+  "far farther comparative", "far further comparative", "far farthest superlative",
+  "far furthest superlative", "little less comparative", "little least superlative",
+  "many more comparative", "much more comparative", "many most superlative",
+  "much most superlative"
+];
+
+let irregularFormsMap = null;
+
+// 变化形式 → [{ lemma, form }]（同一形式可能对应多个原形，如 lay / found）
+function getIrregularFormsMap() {
+  if (irregularFormsMap) return irregularFormsMap;
+
+  const map = new Map();
+  const add = (surface, lemma, form) => {
+    if (surface === lemma) return;
+    const list = map.get(surface) || [];
+    const existing = list.find((c) => c.lemma === lemma);
+    if (existing) {
+      // 过去式与过去分词同形（如 made）
+      if (existing.form !== form) existing.form = "pastOrParticiple";
+      return;
+    }
+    list.push({ lemma, form });
+    map.set(surface, list);
+  };
+
+  for (const line of IRREGULAR_VERBS) {
+    const [base, past, participle] = line.split(" ");
+    add(past, base, "past");
+    add(participle, base, "pastParticiple");
+  }
+  for (const line of IRREGULAR_OTHERS) {
+    const [base, surface, form] = line.split(" ");
+    add(surface, base, form);
+  }
+
+  irregularFormsMap = map;
+  return map;
+}
+
+function isVowel(ch) {
+  return "aeiou".includes(ch);
+}
+
+// 词干以“辅音 + 元音 + 辅音”结尾时（如 mak、writ），原形多半以 e 结尾
+function endsWithConsonantVowelConsonant(stem) {
+  if (stem.length < 3) return false;
+  const [a, b, c] = stem.slice(-3);
+  return !isVowel(a) && isVowel(b) && !isVowel(c) && !"wxy".includes(c);
+}
+
+// 去掉 -ed / -ing / -er / -est 后的词干 → 候选原形（按可能性排序）
+function expandStem(stem) {
+  if (stem.length < 2) return [];
+  const last = stem[stem.length - 1];
+  // 双写辅音：stopped → stop、running → run、bigger → big；
+  // l / s / z 结尾的原形本身常为双写（called、passed），两种都试
+  if (stem.length >= 3 && last === stem[stem.length - 2] && !isVowel(last)) {
+    return "lsz".includes(last) ? [stem, stem.slice(0, -1)] : [stem.slice(0, -1), stem];
+  }
+  if (endsWithConsonantVowelConsonant(stem)) {
+    return [stem + "e", stem];
+  }
+  return [stem, stem + "e"];
+}
+
+// 按后缀规则生成候选原形
+function getSuffixCandidates(word) {
+  const result = [];
+  const push = (lemma, form) => {
+    if (lemma.length >= 2 && lemma !== word) result.push({ lemma, form });
+  };
+  const stripped = (suffix) => word.slice(0, -suffix.length);
+
+  if (word.endsWith("ies") && word.length > 4) {
+    push(stripped("ies") + "y", "pluralOrThird");
+  } else if (word.endsWith("ves") && word.length > 4) {
+    push(stripped("ves") + "f", "plural");
+    push(stripped("ves") + "fe", "plural");
+  } else if (/(ss|x|ch|sh|z|o)es$/.test(word)) {
+    push(stripped("es"), "pluralOrThird");
+  } else if (word.endsWith("s") && !/(ss|us|is)$/.test(word)) {
+    push(stripped("s"), "pluralOrThird");
+  }
+
+  if (word.endsWith("ied") && word.length > 4) {
+    push(stripped("ied") + "y", "pastOrParticiple");
+  } else if (word.endsWith("ed")) {
+    for (const lemma of expandStem(stripped("ed"))) push(lemma, "pastOrParticiple");
+  }
+
+  if (word.endsWith("ying") && word.length === 5) {
+    // lying → lie、dying → die（更长的词如 studying 按 -ing 处理）
+    push(stripped("ying") + "ie", "presentParticiple");
+  }
+  if (word.endsWith("ing") && word.length > 4) {
+    for (const lemma of expandStem(stripped("ing"))) push(lemma, "presentParticiple");
+  }
+
+  if (word.endsWith("iest") && word.length > 5) {
+    push(stripped("iest") + "y", "superlative");
+  } else if (word.endsWith("est") && word.length > 4) {
+    for (const lemma of expandStem(stripped("est"))) push(lemma, "superlative");
+  }
+
+  if (word.endsWith("ier") && word.length > 4) {
+    push(stripped("ier") + "y", "comparative");
+  } else if (word.endsWith("er") && word.length > 3) {
+    for (const lemma of expandStem(stripped("er"))) push(lemma, "comparative");
+  }
+
+  return result;
+}
+
+// 返回候选原形列表 [{ lemma, form }]，不规则变化优先；不含单词本身
+function getLemmaCandidates(word) {
+  const lower = typeof word === "string" ? word.trim().toLowerCase() : "";
+  if (!/^[a-z]+$/.test(lower)) return [];
+
+  const candidates = (getIrregularFormsMap().get(lower) || []).slice();
+  for (const c of getSuffixCandidates(lower)) {
+    if (!candidates.some((x) => x.lemma === c.lemma)) candidates.push(c);
+  }
+  return candidates;
+}
+
+// 用词典中的 exchange 信息确认词形；能确认时返回更精确的类别，
+// 词典给出了变化形式但不包含该单词时返回 null（说明候选原形不成立，如 news → new）
+function resolveFormFromExchange(exchange, surface, fallbackForm) {
+  const keys = exchange ? Object.keys(exchange).filter((k) => EXCHANGE_FORM_KEYS[k]) : [];
+  if (keys.length === 0) return fallbackForm;
+
+  const matched = keys
+    .filter((k) => exchange[k].toLowerCase() === surface)
+    .map((k) => EXCHANGE_FORM_KEYS[k]);
+  if (matched.length === 0) return null;
+  if (matched.includes("past") && matched.includes("pastParticiple")) return "pastOrParticiple";
+  if (matched.includes("plural") && matched.includes("thirdPerson")) return "pluralOrThird";
+  return matched[0];
+}
+
+function describeWordForm(form) {
+  return WORD_FORM_LABELS[form] || "";
+}
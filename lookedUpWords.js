@@ -0,0 +1,151 @@
+// lookedUpWords.js
+// 查过的单词：background（importScripts）、内容脚本（页面高亮，见 highlightWords.js）与选项页共用
+// 数据保存在 chrome.storage.local 的 "lookedUpWords" 键下，以小写单词为键：
+// { [word]: { translation, ipa, time, lookedUp, starred } }
+// - lookedUp：在浮层或弹窗中成功查询过（与查词历史使用同一开关 recordHistory）
+// - starred：在生词本中，background 在生词本变化时同步（见 syncStarredWords()）
+// 只收录单个单词；页面高亮的悬停提示直接使用这里保存的译文，不发起网络请求
+
+const LOOKED_UP_WORDS_STORAGE_KEY = "lookedUpWords";
+const LOOKED_UP_WORDS_MAX = 5000;
+const LOOKED_UP_WORD_MAX_LENGTH = 40;
+// 可收录的单词：字母开头和结尾，中间可含撇号或连字符（don't、well-known）
+const LOOKED_UP_WORD_PATTERN = /^[\p{L}\p{M}]+(?:['-][\p{L}\p{M}]+)*$/u;
+
+// 读-改-写串行执行，避免连续查询时互相覆盖
+let lookedUpWordsQueue = Promise.resolve();
+
+// 单词的存储键；短语、句子等不收录的文本返回空字符串
+function getLookedUpWordKey(text) {
+  const key = String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/’/g, "'");
+  return key.length <= LOOKED_UP_WORD_MAX_LENGTH && LOOKED_UP_WORD_PATTERN.test(key) ? key : "";
+}
+
+function loadLookedUpWords() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(LOOKED_UP_WORDS_STORAGE_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn("读取查过的单词失败", chrome.runtime.lastError);
+        resolve({});
+        return;
+      }
+      const map = result && result[LOOKED_UP_WORDS_STORAGE_KEY];
+      resolve(map && typeof map === "object" && !Array.isArray(map) ? map : {});
+    });
+  });
+}
+
+function saveLookedUpWords(map) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [LOOKED_UP_WORDS_STORAGE_KEY]: map }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// 超出上限时丢弃最久未查询的单词（生词本中的单词始终保留）
+function trimLookedUpWords(map) {
+  const keys = Object.keys(map);
+  if (keys.length <= LOOKED_UP_WORDS_MAX) return map;
+
+  const removable = keys
+    .filter((key) => !map[key].starred)
+    .sort((a, b) => (map[a].time || 0) - (map[b].time || 0));
+  for (const key of removable.slice(0, keys.length - LOOKED_UP_WORDS_MAX)) {
+    delete map[key];
+  }
+  return map;
+}
+
+// mutate(map) 直接修改 map，返回 false 表示没有变化、无需写入
+function updateLookedUpWords(mutate) {
+  lookedUpWordsQueue = lookedUpWordsQueue
+    .then(async () => {
+      const map = await loadLookedUpWords();
+      if (mutate(map) === false) return;
+      await saveLookedUpWords(trimLookedUpWords(map));
+    })
+    .catch((err) => {
+      console.warn("保存查过的单词失败", err);
+    });
+  return lookedUpWordsQueue;
+}
+
+// 记录成功的查询：items 为 [{ text, translation, ipa, time }]，其中的短语与句子会被忽略
+function recordLookedUpWords(items) {
+  const words = items
+    .map((item) => ({ ...item, key: getLookedUpWordKey(item.text) }))
+    .filter((item) => item.key && item.translation);
+  if (words.length === 0) return Promise.resolve();
+
+  return updateLookedUpWords((map) => {
+    for (const item of words) {
+      const prev = map[item.key];
+      const time = typeof item.time === "number" ? item.time : Date.now();
+      if (prev && prev.time > time) continue;
+      map[item.key] = {
+        // 生词本中的单词以生词本里（可能经过编辑）的译文为准
+        translation: prev && prev.starred ? prev.translation : item.translation,
+        ipa: item.ipa || (prev && prev.ipa) || null,
+        time,
+        lookedUp: true,
+        starred: !!(prev && prev.starred)
+      };
+    }
+  });
+}
+
+// 按生词本条目同步 starred 标记与译文；移出生词本且从未查询过的单词一并删除
+function syncStarredWords(entries) {
+  const starred = new Map();
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const key = getLookedUpWordKey(entry.text);
+    if (key && entry.translation) starred.set(key, entry);
+  }
+
+  return updateLookedUpWords((map) => {
+    let changed = false;
+    for (const key of Object.keys(map)) {
+      if (!map[key].starred || starred.has(key)) continue;
+      changed = true;
+      if (map[key].lookedUp) {
+        map[key] = { ...map[key], starred: false };
+      } else {
+        delete map[key];
+      }
+    }
+    for (const [key, entry] of starred) {
+      const prev = map[key];
+      if (prev && prev.starred && prev.translation === entry.translation) continue;
+      changed = true;
+      map[key] = {
+        translation: entry.translation,
+        ipa: entry.ipa || (prev && prev.ipa) || null,
+        time: prev ? prev.time : entry.createdAt || Date.now(),
+        lookedUp: !!(prev && prev.lookedUp),
+        starred: true
+      };
+    }
+    return changed;
+  });
+}
+
+// 清除查询记录；生词本中的单词保留（只去掉 lookedUp 标记）
+function clearLookedUpWords() {
+  return updateLookedUpWords((map) => {
+    for (const key of Object.keys(map)) {
+      if (map[key].starred) {
+        map[key] = { ...map[key], lookedUp: false };
+      } else {
+        delete map[key];
+      }
+    }
+  });
+}
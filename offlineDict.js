@@ -0,0 +1,174 @@
+// offlineDict.js
+// 内置离线英汉词典（ECDICT 格式的精简数据，见 data/ecdict-lite.json），在 background 中通过 importScripts 使用
+// - 安装 / 更新扩展时把数据导入 IndexedDB，之后查词无需联网
+// - 单词查询优先命中离线词典，返回中文释义、音标与考试标签
+// - 依赖 cacheStore.js 中的 promisifyRequest()
+
+const OFFLINE_DICT_DB_NAME = "dtp-offline-dict";
+const OFFLINE_DICT_DB_VERSION = 1;
+const OFFLINE_DICT_STORE = "words";
+const OFFLINE_DICT_META_STORE = "meta";
+const OFFLINE_DICT_DATA_PATH = "data/ecdict-lite.json";
+
+let offlineDictDbPromise = null;
+// 正在进行的导入任务，避免安装事件与首次查询同时导入
+let offlineDictLoadPromise = null;
+
+function openOfflineDictDb() {
+  if (offlineDictDbPromise) return offlineDictDbPromise;
+
+  offlineDictDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DICT_DB_NAME, OFFLINE_DICT_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OFFLINE_DICT_STORE)) {
+        db.createObjectStore(OFFLINE_DICT_STORE, { keyPath: "word" });
+      }
+      if (!db.objectStoreNames.contains(OFFLINE_DICT_META_STORE)) {
+        db.createObjectStore(OFFLINE_DICT_META_STORE, { keyPath: "key" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      offlineDictDbPromise = null;
+      reject(request.error);
+    };
+  });
+  return offlineDictDbPromise;
+}
+
+// 等待事务提交完成
+function waitForTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// 将 ECDICT 的 exchange 字段（如 "p:went/d:gone/3:goes"）解析为对象
+function parseExchange(raw) {
+  const result = {};
+  if (typeof raw !== "string" || !raw) return result;
+  for (const part of raw.split("/")) {
+    const idx = part.indexOf(":");
+    if (idx <= 0) continue;
+    result[part.slice(0, idx)] = part.slice(idx + 1);
+  }
+  return result;
+}
+
+// 数据文件中的一行 → 存储记录；fields 给出各列的含义
+function toOfflineDictRecord(row, fields) {
+  const item = {};
+  fields.forEach((name, i) => {
+    item[name] = typeof row[i] === "string" ? row[i] : "";
+  });
+  if (!item.word) return null;
+
+  return {
+    word: item.word.toLowerCase(),
+    phonetic: item.phonetic,
+    translation: item.translation,
+    tags: item.tag ? item.tag.split(/\s+/).filter(Boolean) : [],
+    exchange: parseExchange(item.exchange)
+  };
+}
+
+async function readOfflineDictMeta() {
+  const db = await openOfflineDictDb();
+  const tx = db.transaction(OFFLINE_DICT_META_STORE, "readonly");
+  const meta = await promisifyRequest(tx.objectStore(OFFLINE_DICT_META_STORE).get("data"));
+  return meta || null;
+}
+
+// 从扩展包中读取词典数据并整体导入
+// 数据文件随扩展一起发布，force 为 false 时只要导入时的扩展版本与当前相同就跳过（不读取数据文件）；
+// 数据本身的版本以 data/ecdict-lite.json 中的 version 为准，仅用于展示
+async function loadOfflineDictionary(force) {
+  const extensionVersion = chrome.runtime.getManifest().version;
+  const meta = await readOfflineDictMeta();
+  if (!force && meta && meta.extensionVersion === extensionVersion) {
+    return meta;
+  }
+
+  const response = await fetch(chrome.runtime.getURL(OFFLINE_DICT_DATA_PATH));
+  if (!response.ok) {
+    throw new Error("读取离线词典数据失败：HTTP " + response.status);
+  }
+  const data = await response.json();
+  if (!data || !Array.isArray(data.fields) || !Array.isArray(data.entries)) {
+    throw new Error("离线词典数据格式异常");
+  }
+
+  const db = await openOfflineDictDb();
+  const tx = db.transaction([OFFLINE_DICT_STORE, OFFLINE_DICT_META_STORE], "readwrite");
+  const store = tx.objectStore(OFFLINE_DICT_STORE);
+  store.clear();
+
+  let count = 0;
+  for (const row of data.entries) {
+    const record = Array.isArray(row) ? toOfflineDictRecord(row, data.fields) : null;
+    if (!record) continue;
+    store.put(record);
+    count += 1;
+  }
+
+  const nextMeta = {
+    key: "data",
+    version: data.version != null ? data.version : null,
+    extensionVersion,
+    count,
+    loadedAt: Date.now()
+  };
+  tx.objectStore(OFFLINE_DICT_META_STORE).put(nextMeta);
+  await waitForTransaction(tx);
+  return nextMeta;
+}
+
+// 确保离线词典已导入（服务进程重启或 IndexedDB 被清理后按需重新导入）
+function ensureOfflineDictionary(force) {
+  if (!offlineDictLoadPromise || force) {
+    offlineDictLoadPromise = loadOfflineDictionary(!!force).catch((err) => {
+      offlineDictLoadPromise = null;
+      throw err;
+    });
+  }
+  return offlineDictLoadPromise;
+}
+
+// 查询单词；未收录或离线词典不可用时返回 null
+// 返回 { word, ipa, translation, tags, exchange }
+async function offlineDictLookup(word) {
+  const key = typeof word === "string" ? word.trim().toLowerCase() : "";
+  if (!key) return null;
+
+  try {
+    await ensureOfflineDictionary(false);
+    const db = await openOfflineDictDb();
+    const tx = db.transaction(OFFLINE_DICT_STORE, "readonly");
+    const record = await promisifyRequest(tx.objectStore(OFFLINE_DICT_STORE).get(key));
+    if (!record || !record.translation) return null;
+
+    return {
+      word: record.word,
+      ipa: record.phonetic ? "/" + record.phonetic + "/" : null,
+      translation: record.translation,
+      tags: record.tags || [],
+      exchange: record.exchange || {}
+    };
+  } catch (e) {
+    console.warn("查询离线词典失败", e);
+    return null;
+  }
+}
+
+// 返回 { count, version, loadedAt }，尚未导入时 count 为 0
+async function offlineDictGetStats() {
+  const meta = await readOfflineDictMeta();
+  return {
+    count: meta ? meta.count : 0,
+    version: meta ? meta.version : null,
+    loadedAt: meta ? meta.loadedAt : null
+  };
+}
@@ -1,98 +1,839 @@
 // options.js
-// 管理选项页中的 Provider / 主题 / TTS 设置
-
-const DEFAULT_SETTINGS = {
-  provider: "auto",
-  theme: "auto",
-  ttsRate: 1.0,
-  ttsVoice: "auto",
-  showPronounce: true,
-  autoPopupOnSelect: true
-};
-
-function normalizeSettings(raw) {
-  return {
-    provider: raw.provider || DEFAULT_SETTINGS.provider,
-    theme: raw.theme || DEFAULT_SETTINGS.theme,
-    ttsRate:
-      typeof raw.ttsRate === "number" && !Number.isNaN(raw.ttsRate)
-        ? raw.ttsRate
-        : DEFAULT_SETTINGS.ttsRate,
-    ttsVoice: raw.ttsVoice || DEFAULT_SETTINGS.ttsVoice,
-    showPronounce:
-      typeof raw.showPronounce === "boolean"
-        ? raw.showPronounce
-        : DEFAULT_SETTINGS.showPronounce,
-    autoPopupOnSelect:
-      typeof raw.autoPopupOnSelect === "boolean"
-        ? raw.autoPopupOnSelect
-        : DEFAULT_SETTINGS.autoPopupOnSelect
-  };
-}
+// 管理选项页中的 Provider（含自定义端点）/ 语言 / 主题 / TTS / 网站规则设置
+// 并展示各翻译服务与在线词典的诊断数据（成功率、耗时、最近错误），可一键测试连接
+// 设置的默认值、校验与读写见 settingsStore.js；本页另提供 JSON 导入 / 导出与恢复默认
+
+// 当前编辑中的自定义端点列表，随“保存设置”一并写入
+let customProviders = [];
+// 当前编辑中的网站规则列表，同样随“保存设置”一并写入
+let siteRules = [];
+// 诊断面板：最近一次读取的数据与各服务的测试结果（providerId → 结果）
+let diagnostics = null;
+const connectionTests = {};
+
+// 在线词典在诊断记录中的 id，与 background.js 的 DICTIONARY_CIRCUIT_ID 一致
+const DICTIONARY_DIAGNOSTICS_ID = "dictionary";
 
 function $(id) {
   return document.getElementById(id);
 }
 
-function loadSettings() {
-  chrome.storage.sync.get("settings", (result) => {
-    if (chrome.runtime.lastError) {
-      console.warn("读取设置失败", chrome.runtime.lastError);
+// 用 languages.js 中的语言列表填充源语言 / 目标语言下拉框
+function renderLanguageOptions() {
+  for (const lang of LANGUAGES) {
+    const sourceOption = document.createElement("option");
+    sourceOption.value = lang.code;
+    sourceOption.textContent = lang.name;
+    $("sourceLang").appendChild(sourceOption);
+
+    const targetOption = document.createElement("option");
+    targetOption.value = lang.code;
+    targetOption.textContent = lang.name;
+    $("targetLang").appendChild(targetOption);
+  }
+}
+
+// 用注册表中的 Provider 填充“翻译 Provider”下拉框（保留第一项“自动”）
+function renderProviderOptions(selected) {
+  const select = $("provider");
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+
+  for (const p of getAllProviders({ customProviders })) {
+    const option = document.createElement("option");
+    option.value = p.id;
+    option.textContent = "仅 " + p.name + (p.builtin ? "" : "（自定义）");
+    select.appendChild(option);
+  }
+
+  select.value = selected;
+  // 已删除的端点回退为自动
+  if (select.value !== selected) {
+    select.value = "auto";
+  }
+
+  renderPreferredProviderOptions($("preferredProvider").value);
+}
+
+// 对比模式的首选服务：全部 Provider + 离线词典（保留第一项“不指定”）
+function renderPreferredProviderOptions(selected) {
+  const select = $("preferredProvider");
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+
+  // 离线词典的 id 与 background.js 中的 OFFLINE_DICT_PROVIDER_ID 一致
+  const choices = getAllProviders({ customProviders }).concat([
+    { id: "offline", name: "离线词典" }
+  ]);
+  for (const p of choices) {
+    const option = document.createElement("option");
+    option.value = p.id;
+    option.textContent = p.name;
+    select.appendChild(option);
+  }
+
+  select.value = selected;
+  if (select.value !== selected) {
+    select.value = "";
+  }
+}
+
+// 自定义端点只能基于带 baseUrl 配置项的适配器创建
+function renderCustomTypeOptions() {
+  for (const adapter of listProviderAdapters()) {
+    if (!adapter.configFields.includes("baseUrl")) continue;
+    const option = document.createElement("option");
+    option.value = adapter.id;
+    option.textContent = adapter.name + " 兼容接口";
+    $("customType").appendChild(option);
+  }
+}
+
+function renderCustomProviders() {
+  const container = $("customProviders");
+  container.textContent = "";
+
+  for (const p of customProviders) {
+    const item = document.createElement("div");
+    item.className = "custom-item";
+
+    const info = document.createElement("div");
+    info.className = "custom-item-info";
+    const name = document.createElement("div");
+    name.textContent = p.name;
+    const meta = document.createElement("div");
+    meta.className = "custom-item-meta";
+    const adapter = getProviderAdapter(p.type);
+    meta.textContent =
+      (adapter ? adapter.name : p.type) +
+      " · " +
+      p.baseUrl +
+      (p.apiKey ? " · 已配置 API Key" : "") +
+      (p.timeout ? " · 超时 " + p.timeout + "ms" : "");
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "danger";
+    remove.textContent = "删除";
+    remove.addEventListener("click", () => {
+      customProviders = customProviders.filter((c) => c.id !== p.id);
+      renderCustomProviders();
+      renderProviderOptions($("provider").value);
+      saveCustomProviders("已删除自定义端点");
+    });
+
+    item.appendChild(info);
+    item.appendChild(remove);
+    container.appendChild(item);
+  }
+  // 诊断面板的服务列表随自定义端点变化
+  renderDiagnostics();
+}
+
+function setCustomStatus(text, isError) {
+  const status = $("customStatus");
+  status.textContent = text;
+  status.style.color = isError ? "#b91c1c" : "#059669";
+}
+
+// 只保存自定义端点：在已保存的设置上修改这一项，表单中其他尚未保存的修改不会被提交
+// successText 为空时保留当前提示（例如未授予主机权限的警告）
+function saveCustomProviders(successText) {
+  return patchSettings({ customProviders }).then(
+    () => {
+      if (successText) setCustomStatus(successText, false);
+    },
+    (err) => {
+      setCustomStatus("保存自定义端点失败：" + err.message, true);
+    }
+  );
+}
+
+// 请求访问自定义端点所在主机的权限；必须在用户点击的处理函数中调用
+function requestHostPermission(baseUrl) {
+  const origin = new URL(baseUrl).origin + "/*";
+  return chrome.permissions.request({ origins: [origin] });
+}
+
+async function addCustomProvider() {
+  const baseUrl = $("customBaseUrl").value.trim();
+  const timeoutRaw = parseInt($("customTimeout").value, 10);
+
+  let parsed = null;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (e) {
+    parsed = null;
+  }
+  if (!parsed || (parsed.protocol !== "https:" && parsed.protocol !== "http:")) {
+    setCustomStatus("请输入以 http:// 或 https:// 开头的服务地址", true);
+    return;
+  }
+
+  let warned = false;
+  if ($("customRequestPermission").checked) {
+    try {
+      const granted = await requestHostPermission(baseUrl);
+      if (!granted) {
+        setCustomStatus("未授予主机权限，该端点的请求可能会被浏览器拦截", true);
+        warned = true;
+      }
+    } catch (e) {
+      console.warn("请求主机权限失败", e);
+      setCustomStatus("请求主机权限失败：" + e.message, true);
+      warned = true;
     }
+  }
+
+  const provider = {
+    id: createCustomProviderId(),
+    type: $("customType").value,
+    name: $("customName").value.trim() || parsed.host,
+    baseUrl,
+    apiKey: $("customApiKey").value.trim(),
+    timeout: !Number.isNaN(timeoutRaw) && timeoutRaw > 0 ? timeoutRaw : 0
+  };
+  customProviders = normalizeCustomProviders(customProviders.concat([provider]));
 
-    const settings = normalizeSettings(result.settings || {});
+  $("customName").value = "";
+  $("customBaseUrl").value = "";
+  $("customApiKey").value = "";
+  $("customTimeout").value = "";
 
-    $("provider").value = settings.provider;
-    $("theme").value = settings.theme;
-    $("ttsRate").value = settings.ttsRate.toFixed(1);
-    $("ttsRateValue").textContent = settings.ttsRate.toFixed(1);
-    $("ttsVoice").value = settings.ttsVoice;
-    $("showPronounce").checked = settings.showPronounce;
-    $("autoPopupOnSelect").checked = settings.autoPopupOnSelect;
+  renderCustomProviders();
+  renderProviderOptions($("provider").value);
+  saveCustomProviders(warned ? "" : "已添加自定义端点");
+}
+
+function fillSelect(select, labels, selected) {
+  for (const [value, label] of Object.entries(labels)) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  if (selected) select.value = selected;
+}
+
+function renderSiteRuleFormOptions() {
+  fillSelect($("siteRuleKind"), SITE_PATTERN_KINDS, "glob");
+  fillSelect($("siteRuleTrigger"), SITE_TRIGGERS, "disabled");
+}
+
+function setSiteRuleStatus(text, isError) {
+  const status = $("siteRuleStatus");
+  status.textContent = text;
+  status.style.color = isError ? "#b91c1c" : "#059669";
+}
+
+function renderSiteRules() {
+  const container = $("siteRules");
+  container.textContent = "";
+
+  siteRules.forEach((rule, index) => {
+    const item = document.createElement("div");
+    item.className = "custom-item";
+
+    const info = document.createElement("div");
+    info.className = "custom-item-info";
+    const pattern = document.createElement("div");
+    pattern.textContent = rule.pattern;
+    const meta = document.createElement("div");
+    meta.className = "custom-item-meta";
+    meta.textContent = SITE_PATTERN_KINDS[rule.kind];
+    info.appendChild(pattern);
+    info.appendChild(meta);
+
+    const trigger = document.createElement("select");
+    fillSelect(trigger, SITE_TRIGGERS, rule.trigger);
+    trigger.addEventListener("change", () => {
+      rule.trigger = trigger.value;
+      saveSiteRules();
+    });
+
+    const up = document.createElement("button");
+    up.type = "button";
+    up.textContent = "上移";
+    up.disabled = index === 0;
+    up.addEventListener("click", () => {
+      siteRules.splice(index - 1, 0, siteRules.splice(index, 1)[0]);
+      renderSiteRules();
+      saveSiteRules();
+    });
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "danger";
+    remove.textContent = "删除";
+    remove.addEventListener("click", () => {
+      siteRules = siteRules.filter((r) => r.id !== rule.id);
+      renderSiteRules();
+      saveSiteRules();
+    });
+
+    item.appendChild(info);
+    item.appendChild(trigger);
+    item.appendChild(up);
+    item.appendChild(remove);
+    container.appendChild(item);
+  });
+}
+
+// 只保存网站规则（与 saveCustomProviders() 相同，不提交表单中其他尚未保存的修改）
+function saveSiteRules() {
+  return patchSettings({ siteRules }).then(
+    () => {
+      setSiteRuleStatus("", false);
+    },
+    (err) => {
+      setSiteRuleStatus("保存网站规则失败：" + err.message, true);
+    }
+  );
+}
+
+function addSiteRule() {
+  const pattern = $("siteRulePattern").value.trim();
+  const kind = $("siteRuleKind").value;
+  if (!pattern) {
+    setSiteRuleStatus("请输入网址模式", true);
+    return;
+  }
+  if (kind === "regex" && !compileSiteRegex(pattern)) {
+    setSiteRuleStatus("正则表达式无效，请检查语法", true);
+    return;
+  }
+
+  siteRules = normalizeSiteRules(
+    siteRules.concat([
+      { id: createSiteRuleId(), pattern, kind, trigger: $("siteRuleTrigger").value }
+    ])
+  );
+  $("siteRulePattern").value = "";
+  setSiteRuleStatus("", false);
+
+  renderSiteRules();
+  saveSiteRules();
+}
+
+function formatHitRate(stat) {
+  const total = stat.hits + stat.misses;
+  if (total === 0) return "暂无数据";
+  return (
+    "命中 " + stat.hits + " / " + total + "（" + Math.round((stat.hits / total) * 100) + "%）"
+  );
+}
+
+function loadCacheStats() {
+  chrome.runtime.sendMessage({ type: "CACHE_STATS" }, (response) => {
+    const el = $("cacheStats");
+    if (chrome.runtime.lastError || !response || !response.success) {
+      el.textContent = "无法读取缓存统计";
+      return;
+    }
+    const empty = { hits: 0, misses: 0 };
+    el.textContent =
+      "已缓存 " +
+      response.entries +
+      " 条 · 翻译：" +
+      formatHitRate(response.stats.translation || empty) +
+      " · 词典：" +
+      formatHitRate(response.stats.dict || empty);
+  });
+}
+
+function loadLookedUpWordsStats() {
+  loadLookedUpWords().then((map) => {
+    const entries = Object.values(map);
+    const starred = entries.filter((e) => e.starred).length;
+    $("lookedUpWordsStats").textContent =
+      "已记录 " +
+      entries.filter((e) => e.lookedUp).length +
+      " 个查过的单词 · 生词本中 " +
+      starred +
+      " 个（最多保留最近 " +
+      LOOKED_UP_WORDS_MAX +
+      " 个）";
+  });
+}
+
+// 生词本中的单词不受影响
+function clearLookedUpWordsRecord() {
+  if (!confirm("确定清除查过的单词吗？生词本中的单词仍会高亮。")) return;
+  clearLookedUpWords().then(() => {
+    loadLookedUpWordsStats();
+  });
+}
+
+function loadOfflineDictStats() {
+  chrome.runtime.sendMessage({ type: "OFFLINE_DICT_STATS" }, (response) => {
+    const el = $("offlineDictStats");
+    if (chrome.runtime.lastError || !response || !response.success) {
+      el.textContent = "无法读取离线词典状态";
+      return;
+    }
+    el.textContent =
+      response.count > 0
+        ? "已收录 " + response.count + " 个常用词（数据版本 " + response.version + "）"
+        : "离线词典尚未导入，首次查询单词时会自动导入";
+  });
+}
+
+// 诊断面板中的服务列表：全部翻译 Provider + 在线词典
+function getDiagnosticsTargets() {
+  return getAllProviders({ customProviders })
+    .map((p) => ({ id: p.id, name: p.name }))
+    .concat([{ id: DICTIONARY_DIAGNOSTICS_ID, name: "Free Dictionary API" }]);
+}
+
+function formatLatency(ms) {
+  return ms === null || ms === undefined ? "-" : ms + "ms";
+}
+
+function describeDiagnostics(stat, circuit) {
+  const parts = [];
+  if (!stat || stat.requests === 0) {
+    parts.push("暂无请求记录");
+  } else {
+    parts.push(
+      "成功率 " +
+        Math.round(stat.successRate * 100) +
+        "%（" +
+        stat.successes +
+        " / " +
+        stat.requests +
+        "）",
+      "p50 " + formatLatency(stat.p50),
+      "p95 " + formatLatency(stat.p95)
+    );
+  }
+  if (stat && stat.cacheHits > 0) {
+    parts.push("缓存命中 " + stat.cacheHits);
+  }
+  if (circuit && circuit.openUntil > Date.now()) {
+    parts.push(
+      "连续失败 " +
+        circuit.failures +
+        " 次，暂停使用（剩余 " +
+        Math.ceil((circuit.openUntil - Date.now()) / 1000) +
+        " 秒）"
+    );
+  }
+  return parts.join(" · ");
+}
+
+function renderDiagnostics() {
+  const container = $("diagnostics");
+  container.textContent = "";
+  const summary = (diagnostics && diagnostics.summary) || {};
+  const circuits = (diagnostics && diagnostics.circuits) || {};
+
+  for (const target of getDiagnosticsTargets()) {
+    const stat = summary[target.id];
+    const item = document.createElement("div");
+    item.className = "custom-item";
+
+    const info = document.createElement("div");
+    info.className = "custom-item-info";
+    const name = document.createElement("div");
+    name.textContent = target.name;
+    const meta = document.createElement("div");
+    meta.className = "custom-item-meta";
+    meta.textContent = describeDiagnostics(stat, circuits[target.id]);
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    for (const e of stat ? stat.lastErrors : []) {
+      const line = document.createElement("div");
+      line.className = "diag-error";
+      line.textContent =
+        new Date(e.time).toLocaleString() +
+        " · " +
+        e.label +
+        (e.status ? "（" + e.status + "）" : "") +
+        (e.message ? "：" + e.message : "");
+      info.appendChild(line);
+    }
+
+    const test = connectionTests[target.id];
+    if (test) {
+      const line = document.createElement("div");
+      line.className = "diag-test";
+      line.style.color = test.pending ? "#6b7280" : test.success ? "#059669" : "#b91c1c";
+      line.textContent = test.pending
+        ? "正在测试..."
+        : test.success
+          ? "连接正常（" + test.latency + "ms）：" + test.detail
+          : "连接失败（" + test.latency + "ms）：" + test.error;
+      info.appendChild(line);
+    }
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = "测试连接";
+    button.disabled = !!(test && test.pending);
+    button.addEventListener("click", () => {
+      testConnection(target.id);
+    });
+
+    item.appendChild(info);
+    item.appendChild(button);
+    container.appendChild(item);
+  }
+
+  $("diagnosticsStats").textContent = diagnostics
+    ? "共 " + diagnostics.total + " 条记录（最多保留最近 " + diagnostics.limit + " 条）"
+    : "";
+}
+
+function loadProviderDiagnostics() {
+  chrome.runtime.sendMessage({ type: "PROVIDER_DIAGNOSTICS" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      $("diagnosticsStats").textContent = "无法读取诊断记录";
+      return;
+    }
+    diagnostics = response;
+    renderDiagnostics();
+  });
+}
+
+function testConnection(providerId) {
+  connectionTests[providerId] = { pending: true };
+  renderDiagnostics();
+
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "PROVIDER_TEST", providerId }, (response) => {
+      connectionTests[providerId] =
+        chrome.runtime.lastError || !response
+          ? { success: false, latency: 0, error: "无法连接后台服务" }
+          : response;
+      loadProviderDiagnostics();
+      resolve();
+    });
+  });
+}
+
+// 依次测试，避免同时请求多个公共接口触发限流
+async function testAllConnections() {
+  $("testAllProviders").disabled = true;
+  for (const target of getDiagnosticsTargets()) {
+    await testConnection(target.id);
+  }
+  $("testAllProviders").disabled = false;
+}
+
+function clearDiagnostics() {
+  if (!confirm("确定清空服务诊断记录吗？")) return;
+  chrome.runtime.sendMessage({ type: "PROVIDER_DIAGNOSTICS_CLEAR" }, () => {
+    for (const id of Object.keys(connectionTests)) {
+      delete connectionTests[id];
+    }
+    loadProviderDiagnostics();
+  });
+}
+
+function clearCache() {
+  if (!confirm("确定清空全部翻译与词典缓存吗？")) return;
+  chrome.runtime.sendMessage({ type: "CACHE_CLEAR" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      $("cacheStats").textContent = "清空缓存失败，请稍后重试";
+      return;
+    }
+    loadCacheStats();
+  });
+}
+
+// 用设置填充表单（读取、导入、恢复默认后调用）
+function fillSettingsForm(settings) {
+  customProviders = settings.customProviders;
+  renderCustomProviders();
+  siteRules = settings.siteRules;
+  renderSiteRules();
+  $("siteMode").value = settings.siteMode;
+  renderProviderOptions(settings.provider);
+  $("compareProviders").checked = settings.compareProviders;
+  renderPreferredProviderOptions(settings.preferredProvider);
+  $("sourceLang").value = settings.sourceLang;
+  $("targetLang").value = settings.targetLang;
+  $("theme").value = settings.theme;
+  $("ttsRate").value = settings.ttsRate.toFixed(1);
+  $("ttsRateValue").textContent = settings.ttsRate.toFixed(1);
+  $("ttsVoice").value = settings.ttsVoice;
+  $("showPronounce").checked = settings.showPronounce;
+  $("autoPopupOnSelect").checked = settings.autoPopupOnSelect;
+  $("overlayAutoFocus").checked = settings.overlayAutoFocus;
+  $("hoverModifier").value = settings.hoverModifier;
+  $("hoverSentenceModifier").value = settings.hoverSentenceModifier;
+  $("hoverDelayMs").value = settings.hoverDelayMs;
+  $("cacheMaxEntries").value = settings.cacheMaxEntries;
+  $("cacheTtlHours").value = settings.cacheTtlHours;
+  $("offlineDict").checked = settings.offlineDict;
+  $("recordHistory").checked = settings.recordHistory;
+  $("highlightWords").value = settings.highlightWords;
+  for (const key of Object.keys(DEFAULT_REQUEST_POLICY)) {
+    $(key).value = settings[key];
+  }
+}
+
+function loadSettings() {
+  getSettings().then((settings) => {
+    fillSettingsForm(settings);
+    // 服务列表依赖自定义端点，读取设置后再展示诊断数据
+    loadProviderDiagnostics();
   });
 }
 
 function saveSettings() {
   const provider = $("provider").value;
+  const sourceLang = $("sourceLang").value;
+  const targetLang = $("targetLang").value;
   const theme = $("theme").value;
   const ttsRateRaw = parseFloat($("ttsRate").value);
   const ttsVoice = $("ttsVoice").value;
   const showPronounce = $("showPronounce").checked;
   const autoPopupOnSelect = $("autoPopupOnSelect").checked;
+  const overlayAutoFocus = $("overlayAutoFocus").checked;
+  const hoverModifier = $("hoverModifier").value;
+  const hoverSentenceModifier = $("hoverSentenceModifier").value;
+  const hoverDelayMsRaw = parseInt($("hoverDelayMs").value, 10);
+  const cacheMaxEntriesRaw = parseInt($("cacheMaxEntries").value, 10);
+  const cacheTtlHoursRaw = parseFloat($("cacheTtlHours").value);
+  const offlineDict = $("offlineDict").checked;
+  const recordHistory = $("recordHistory").checked;
+  const highlightWords = $("highlightWords").value;
+  const compareProviders = $("compareProviders").checked;
+  const preferredProvider = $("preferredProvider").value;
+  // 超出范围的值回退为默认值
+  const requestPolicyRaw = {};
+  for (const key of Object.keys(DEFAULT_REQUEST_POLICY)) {
+    requestPolicyRaw[key] = parseInt($(key).value, 10);
+  }
+  const siteMode = $("siteMode").value;
 
   let ttsRate = !Number.isNaN(ttsRateRaw) ? ttsRateRaw : 1.0;
   if (ttsRate < 0.8) ttsRate = 0.8;
   if (ttsRate > 1.2) ttsRate = 1.2;
 
+  const cacheMaxEntries =
+    !Number.isNaN(cacheMaxEntriesRaw) && cacheMaxEntriesRaw >= 100
+      ? cacheMaxEntriesRaw
+      : DEFAULT_SETTINGS.cacheMaxEntries;
+  const cacheTtlHours =
+    !Number.isNaN(cacheTtlHoursRaw) && cacheTtlHoursRaw >= 0
+      ? cacheTtlHoursRaw
+      : DEFAULT_SETTINGS.cacheTtlHours;
+
+  if (sourceLang !== "auto" && isSameLanguageFamily(sourceLang, targetLang)) {
+    const status = $("status");
+    status.textContent = "源语言与目标语言不能相同";
+    status.style.color = "#b91c1c";
+    return;
+  }
+
+  if (hoverModifier !== "off" && hoverModifier === hoverSentenceModifier) {
+    const status = $("status");
+    status.textContent = "悬停取词的两个按键不能相同";
+    status.style.color = "#b91c1c";
+    return;
+  }
+
   const settings = {
     provider,
+    sourceLang,
+    targetLang,
     theme,
     ttsRate,
     ttsVoice,
     showPronounce,
-    autoPopupOnSelect
+    autoPopupOnSelect,
+    overlayAutoFocus,
+    hoverModifier,
+    hoverSentenceModifier,
+    hoverDelayMs:
+      !Number.isNaN(hoverDelayMsRaw) && hoverDelayMsRaw >= 100 && hoverDelayMsRaw <= 2000
+        ? hoverDelayMsRaw
+        : DEFAULT_SETTINGS.hoverDelayMs,
+    customProviders,
+    cacheMaxEntries,
+    cacheTtlHours,
+    offlineDict,
+    recordHistory,
+    highlightWords,
+    compareProviders,
+    preferredProvider,
+    siteMode,
+    siteRules,
+    ...normalizeRequestPolicy(requestPolicyRaw)
   };
 
-  chrome.storage.sync.set({ settings }, () => {
-    const status = $("status");
-    if (chrome.runtime.lastError) {
-      status.textContent = "保存失败：" + chrome.runtime.lastError.message;
-      status.style.color = "#b91c1c";
-    } else {
+  setSettings(settings).then(
+    () => {
+      const status = $("status");
       status.textContent = "设置已保存";
       status.style.color = "#059669";
       setTimeout(() => {
         status.textContent = "";
       }, 2000);
+    },
+    (err) => {
+      const status = $("status");
+      status.textContent = "保存失败：" + err.message;
+      status.style.color = "#b91c1c";
     }
+  );
+}
+
+function setSettingsFileStatus(text, isError) {
+  const status = $("settingsFileStatus");
+  status.textContent = text;
+  status.style.color = isError ? "#b91c1c" : "#059669";
+}
+
+// 导出已保存的设置（不含本页未保存的修改）
+function exportSettings() {
+  getSettings().then((settings) => {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    const stamp = d.getFullYear() + pad(d.getMonth() + 1) + pad(d.getDate());
+    const blob = new Blob([exportSettingsJson(settings)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "settings-" + stamp + ".json";
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    setSettingsFileStatus("已导出设置", false);
   });
 }
 
+// 导入的自定义端点若尚未授权访问，需要删除后重新添加以授予权限
+function findUngrantedEndpoints(list) {
+  return Promise.all(
+    list.map(
+      (p) =>
+        new Promise((resolve) => {
+          let origin = "";
+          try {
+            origin = new URL(p.baseUrl).origin + "/*";
+          } catch (e) {
+            resolve(null);
+            return;
+          }
+          chrome.permissions.contains({ origins: [origin] }, (granted) => {
+            resolve(granted ? null : p.name);
+          });
+        })
+    )
+  ).then((names) => names.filter(Boolean));
+}
+
+function importSettings(file) {
+  const reader = new FileReader();
+  reader.onload = async () => {
+    let result = null;
+    try {
+      result = parseSettingsJson(String(reader.result || ""));
+    } catch (e) {
+      setSettingsFileStatus("导入失败：" + e.message, true);
+      return;
+    }
+
+    const message =
+      result.warnings.length > 0
+        ? "导入的设置中有以下问题：\n" + result.warnings.join("\n") + "\n\n仍要导入并覆盖当前设置吗？"
+        : "导入后将覆盖当前全部设置，确定吗？";
+    if (!confirm(message)) return;
+
+    try {
+      const settings = await setSettings(result.settings);
+      fillSettingsForm(settings);
+      loadProviderDiagnostics();
+      const ungranted = await findUngrantedEndpoints(settings.customProviders);
+      setSettingsFileStatus(
+        ungranted.length > 0
+          ? "设置已导入。以下自定义端点尚未授权访问，请删除后重新添加：" + ungranted.join("、")
+          : "设置已导入",
+        ungranted.length > 0
+      );
+    } catch (e) {
+      setSettingsFileStatus("导入失败：" + e.message, true);
+    }
+  };
+  reader.onerror = () => {
+    setSettingsFileStatus("读取文件失败", true);
+  };
+  reader.readAsText(file);
+}
+
+function resetAllSettings() {
+  if (!confirm("确定将全部设置恢复为默认值吗？自定义端点与网站规则也会被清空。")) return;
+  resetSettings().then(
+    (settings) => {
+      fillSettingsForm(settings);
+      loadProviderDiagnostics();
+      setSettingsFileStatus("已恢复默认设置", false);
+    },
+    (err) => {
+      setSettingsFileStatus("恢复失败：" + err.message, true);
+    }
+  );
+}
+
 function bindEvents() {
   $("save").addEventListener("click", () => {
     saveSettings();
   });
 
+  $("clearCache").addEventListener("click", () => {
+    clearCache();
+  });
+
+  $("clearLookedUpWords").addEventListener("click", () => {
+    clearLookedUpWordsRecord();
+  });
+
+  $("addCustomProvider").addEventListener("click", () => {
+    addCustomProvider();
+  });
+
+  $("addSiteRule").addEventListener("click", () => {
+    addSiteRule();
+  });
+
+  $("testAllProviders").addEventListener("click", () => {
+    testAllConnections();
+  });
+
+  $("refreshDiagnostics").addEventListener("click", () => {
+    loadProviderDiagnostics();
+  });
+
+  $("clearDiagnostics").addEventListener("click", () => {
+    clearDiagnostics();
+  });
+
+  $("exportSettings").addEventListener("click", () => {
+    exportSettings();
+  });
+
+  $("importSettings").addEventListener("click", () => {
+    $("importSettingsFile").click();
+  });
+
+  $("importSettingsFile").addEventListener("change", () => {
+    const file = $("importSettingsFile").files[0];
+    // 清空以便再次选择同一文件
+    $("importSettingsFile").value = "";
+    if (file) importSettings(file);
+  });
+
+  $("resetSettings").addEventListener("click", () => {
+    resetAllSettings();
+  });
+
   $("ttsRate").addEventListener("input", () => {
     const v = parseFloat($("ttsRate").value);
     $("ttsRateValue").textContent = v.toFixed(1);
@@ -100,6 +841,12 @@ function bindEvents() {
 }
 
 window.addEventListener("DOMContentLoaded", () => {
+  renderLanguageOptions();
+  renderCustomTypeOptions();
+  renderSiteRuleFormOptions();
   bindEvents();
   loadSettings();
+  loadCacheStats();
+  loadOfflineDictStats();
+  loadLookedUpWordsStats();
 });
@@ -0,0 +1,183 @@
+// pageTranslate.js
+// 全文双语对照翻译（内容脚本，依赖 contentScript.js 中的 userSettings 与语言判定）
+// - 通过快捷键开启（background 转发 RUN_COMMAND，由 contentScript.js 的 runCommand() 调用）
+// - 遍历页面可读块级元素，进入视口附近时经 background 的 Provider 链翻译
+// - 译文以块级元素追加在原文段落内部末尾，不改动原有节点
+// - 再次切换时只隐藏 / 显示已插入的译文，不重复请求
+
+const BILINGUAL_BLOCK_SELECTOR =
+  "p, li, h1, h2, h3, h4, h5, h6, blockquote, dd, dt, td, th, figcaption, summary";
+// 这些区域内的文本不参与全文翻译
+const BILINGUAL_SKIP_SELECTOR =
+  "script, style, noscript, pre, code, textarea, select, nav, [contenteditable=''], [contenteditable='true'], .dtp-bilingual";
+const BILINGUAL_MAX_TEXT_LENGTH = 3000;
+const BILINGUAL_CONCURRENCY = 3;
+// 提前翻译视口上下方一定距离内的段落，滚动时尽量无感
+const BILINGUAL_ROOT_MARGIN = "600px 0px";
+
+// off：未开启；shown：译文可见；hidden：已插入但隐藏
+let bilingualState = "off";
+let bilingualObserver = null;
+let bilingualQueue = [];
+let bilingualInFlight = 0;
+
+function togglePageTranslation() {
+  if (bilingualState === "off") {
+    startPageTranslation();
+  } else if (bilingualState === "shown") {
+    bilingualState = "hidden";
+    document.documentElement.classList.add("dtp-bilingual-hidden");
+  } else {
+    bilingualState = "shown";
+    document.documentElement.classList.remove("dtp-bilingual-hidden");
+  }
+}
+
+function ensureBilingualStyle() {
+  if (document.getElementById("dtp-bilingual-style")) return;
+
+  const style = document.createElement("style");
+  style.id = "dtp-bilingual-style";
+  style.textContent = `
+    .dtp-bilingual {
+      display: block;
+      margin-top: 0.25em;
+      opacity: 0.85;
+      font-size: 0.95em;
+      line-height: 1.6;
+    }
+    .dtp-bilingual[data-state="loading"] {
+      opacity: 0.5;
+    }
+    .dtp-bilingual[data-state="error"] {
+      color: #b91c1c;
+      font-size: 0.85em;
+    }
+    html.dtp-bilingual-hidden .dtp-bilingual {
+      display: none !important;
+    }
+  `;
+  (document.head || document.documentElement).appendChild(style);
+}
+
+function startPageTranslation() {
+  if (!document.body) return;
+
+  bilingualState = "shown";
+  ensureBilingualStyle();
+  document.documentElement.classList.remove("dtp-bilingual-hidden");
+
+  const blocks = collectReadableBlocks(document.body);
+  if (blocks.length === 0) return;
+
+  if (typeof IntersectionObserver === "function") {
+    bilingualObserver = new IntersectionObserver(handleBlocksIntersect, {
+      rootMargin: BILINGUAL_ROOT_MARGIN
+    });
+    for (const block of blocks) {
+      bilingualObserver.observe(block);
+    }
+  } else {
+    blocks.forEach(enqueueBlockTranslation);
+  }
+}
+
+// 只取“叶子”块：内部还包含其他候选块的元素（如包含 <p> 的 <li>）交给子元素处理
+function collectReadableBlocks(root) {
+  const result = [];
+  const candidates = root.querySelectorAll(BILINGUAL_BLOCK_SELECTOR);
+
+  for (const el of candidates) {
+    if (el.dataset.dtpBilingual) continue;
+    if (el.closest(BILINGUAL_SKIP_SELECTOR)) continue;
+    if (hostElement && hostElement.contains(el)) continue;
+    if (el.querySelector(BILINGUAL_BLOCK_SELECTOR)) continue;
+
+    const text = getBlockText(el);
+    if (!text || text.length < 2 || text.length > BILINGUAL_MAX_TEXT_LENGTH) continue;
+    if (!resolveSourceLanguage(text)) continue;
+
+    result.push(el);
+  }
+  return result;
+}
+
+function getBlockText(el) {
+  return (el.innerText || el.textContent || "").replace(/\s+/g, " ").trim();
+}
+
+function handleBlocksIntersect(entries) {
+  for (const entry of entries) {
+    if (!entry.isIntersecting) continue;
+    bilingualObserver.unobserve(entry.target);
+    enqueueBlockTranslation(entry.target);
+  }
+}
+
+function enqueueBlockTranslation(el) {
+  if (el.dataset.dtpBilingual) return;
+  el.dataset.dtpBilingual = "pending";
+  bilingualQueue.push(el);
+  pumpBilingualQueue();
+}
+
+function pumpBilingualQueue() {
+  while (bilingualInFlight < BILINGUAL_CONCURRENCY && bilingualQueue.length > 0) {
+    const el = bilingualQueue.shift();
+    bilingualInFlight += 1;
+    translateBlock(el).finally(() => {
+      bilingualInFlight -= 1;
+      pumpBilingualQueue();
+    });
+  }
+}
+
+function translateBlock(el) {
+  const text = getBlockText(el);
+  return resolveSourceLanguageAsync(text).then((sourceLang) =>
+    sendBlockTranslation(el, text, sourceLang)
+  );
+}
+
+function sendBlockTranslation(el, text, sourceLang) {
+  return new Promise((resolve) => {
+    if (!sourceLang) {
+      el.dataset.dtpBilingual = "skipped";
+      resolve();
+      return;
+    }
+
+    const target = document.createElement("span");
+    target.className = "dtp-bilingual";
+    target.lang = userSettings.targetLang;
+    target.dataset.state = "loading";
+    target.textContent = "正在翻译...";
+    el.appendChild(target);
+
+    chrome.runtime.sendMessage(
+      {
+        type: "TRANSLATE_AND_DEFINE",
+        text,
+        isWord: false,
+        sourceLang,
+        targetLang: userSettings.targetLang
+      },
+      (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.warn(
+            "段落翻译失败",
+            chrome.runtime.lastError || (response && response.error)
+          );
+          target.dataset.state = "error";
+          target.textContent = "翻译失败";
+          el.dataset.dtpBilingual = "error";
+        } else {
+          target.dataset.state = "done";
+          target.textContent = response.translation;
+          el.dataset.dtpBilingual = "done";
+        }
+        resolve();
+      }
+    );
+  });
+}
@@ -0,0 +1,238 @@
+// pinnedCards.js
+// 固定的翻译卡片（内容脚本，依赖 contentScript.js 中的浮层 Shadow DOM、currentData 与主题）
+// - 浮层中点击“固定”后，把当前结果复制为一张独立卡片：点击页面其他位置或滚动页面都不会关闭
+// - 卡片可拖动标题栏移动、拖动右下角调整大小；可同时固定多张，每张保存自己的结果数据
+// - 拖动结束时按网站（hostname）记住位置，之后在该网站固定的卡片从这里开始依次错开摆放
+
+const PINNED_POSITIONS_STORAGE_KEY = "pinnedCardPositions";
+const PINNED_MAX_CARDS = 6;
+// 多张卡片依次错开，避免完全重叠
+const PINNED_CASCADE_OFFSET = 24;
+// 记住位置的网站数上限，超出时丢弃最久未使用的
+const PINNED_MAX_SITES = 200;
+// 拖动时卡片至少保留在视口内的宽度 / 高度，保证标题栏始终能拖回来
+const PINNED_VISIBLE_MARGIN = 48;
+
+// [{ id, data, element }]，data 为固定时 currentData 的副本
+let pinnedCards = [];
+let pinnedCardSeq = 0;
+// 最近点击的卡片显示在最上层（主浮层始终在卡片之上，见 overlay.css）
+let pinnedCardTopZ = 0;
+
+// 固定当前浮层中的结果
+function pinCurrentResult() {
+  if (!ui.wrapper || !currentData.text || !currentData.translation) return;
+
+  const rect = ui.wrapper.getBoundingClientRect();
+  const data = { ...currentData };
+  const hadFocus = isFocusInOverlay();
+  hideOverlay();
+
+  loadPinnedPosition().then((saved) => {
+    const offset = (pinnedCards.length % PINNED_MAX_CARDS) * PINNED_CASCADE_OFFSET;
+    const position = saved
+      ? { left: saved.left + offset, top: saved.top + offset }
+      : { left: rect.left, top: rect.top };
+    const card = createPinnedCard(data, position);
+    if (hadFocus) {
+      card.element.focus({ preventScroll: true });
+    }
+  });
+}
+
+function createPinnedCard(data, position) {
+  ensureOverlayCreated();
+
+  // 超出上限时关闭最早固定的卡片
+  while (pinnedCards.length >= PINNED_MAX_CARDS) {
+    closePinnedCard(pinnedCards[0]);
+  }
+
+  const element = document.createElement("div");
+  element.className = "dtp-card";
+  element.setAttribute("role", "dialog");
+  element.setAttribute("aria-label", "固定的翻译：" + data.text);
+  element.tabIndex = -1;
+  element.innerHTML = `
+    <div class="dtp-card-header" title="拖动以移动">
+      <span class="dtp-card-title"></span>
+      <button class="dtp-card-btn dtp-card-play" type="button" aria-label="播放">▶</button>
+      <button class="dtp-card-btn dtp-card-copy" type="button">复制译文</button>
+      <button class="dtp-card-btn dtp-card-close" type="button" aria-label="关闭">×</button>
+    </div>
+    <div class="dtp-card-ipa"></div>
+    <div class="dtp-card-translation"></div>
+    <div class="dtp-card-context"></div>
+  `;
+
+  const card = { id: ++pinnedCardSeq, data, element };
+
+  element.querySelector(".dtp-card-title").textContent = data.text;
+  element.querySelector(".dtp-card-title").title = data.text;
+  element.querySelector(".dtp-card-ipa").textContent = data.ipa || "";
+  element.querySelector(".dtp-card-translation").textContent = formatPinnedTranslation(data);
+  element.querySelector(".dtp-card-context").textContent =
+    data.context && data.context.translation ? "语境：" + data.context.translation : "";
+
+  const playButton = element.querySelector(".dtp-card-play");
+  playButton.style.display = userSettings.showPronounce ? "" : "none";
+  playButton.addEventListener("click", () => {
+    const lang = getLanguage(card.data.sourceLang);
+    speakText(card.data.text, {
+      rate: userSettings.ttsRate,
+      voice: userSettings.ttsVoice,
+      lang: lang ? lang.tts : "en-US",
+      audio: card.data.audio
+    });
+  });
+  element.querySelector(".dtp-card-copy").addEventListener("click", () => {
+    copyText(card.data.translation);
+  });
+  element.querySelector(".dtp-card-close").addEventListener("click", () => {
+    closePinnedCard(card);
+  });
+
+  // 与主浮层相同：阻止点击冒泡到页面，并把被点击的卡片提到最上层
+  element.addEventListener("mousedown", (event) => {
+    event.stopPropagation();
+    element.style.zIndex = String(++pinnedCardTopZ);
+  });
+  element.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.stopPropagation();
+      closePinnedCard(card);
+    }
+  });
+  element.querySelector(".dtp-card-header").addEventListener("pointerdown", (event) => {
+    startPinnedCardDrag(card, event);
+  });
+
+  element.classList.add(getEffectiveTheme() === "dark" ? "dtp-theme-dark" : "dtp-theme-light");
+  element.style.zIndex = String(++pinnedCardTopZ);
+  shadowRoot.appendChild(element);
+
+  const clamped = clampPinnedCardPosition(element, position.left, position.top);
+  element.style.left = clamped.left + "px";
+  element.style.top = clamped.top + "px";
+
+  pinnedCards.push(card);
+  return card;
+}
+
+// 对比模式下固定时保留各服务的译文
+function formatPinnedTranslation(data) {
+  const rows = Array.isArray(data.alternatives)
+    ? data.alternatives.filter((row) => row.translation)
+    : [];
+  if (rows.length < 2) return data.translation;
+  return rows.map((row) => row.provider + "：" + row.translation).join("\n");
+}
+
+function closePinnedCard(card) {
+  const index = pinnedCards.indexOf(card);
+  if (index < 0) return;
+  pinnedCards.splice(index, 1);
+  card.element.remove();
+}
+
+// 让卡片保持在视口内（至少露出 PINNED_VISIBLE_MARGIN）
+function clampPinnedCardPosition(element, left, top) {
+  const width = element.offsetWidth;
+  return {
+    left: Math.min(
+      Math.max(left, PINNED_VISIBLE_MARGIN - width),
+      window.innerWidth - PINNED_VISIBLE_MARGIN
+    ),
+    top: Math.min(Math.max(top, 0), window.innerHeight - PINNED_VISIBLE_MARGIN)
+  };
+}
+
+// 拖动标题栏移动卡片（按钮上按下时不拖动）
+function startPinnedCardDrag(card, event) {
+  if (event.button !== 0 || event.target.closest("button")) return;
+  event.preventDefault();
+
+  const element = card.element;
+  const header = event.currentTarget;
+  const startRect = element.getBoundingClientRect();
+  const offsetX = event.clientX - startRect.left;
+  const offsetY = event.clientY - startRect.top;
+
+  element.classList.add("dtp-card-dragging");
+  header.setPointerCapture(event.pointerId);
+
+  const onMove = (e) => {
+    const next = clampPinnedCardPosition(element, e.clientX - offsetX, e.clientY - offsetY);
+    element.style.left = next.left + "px";
+    element.style.top = next.top + "px";
+  };
+  const onEnd = () => {
+    header.removeEventListener("pointermove", onMove);
+    header.removeEventListener("pointerup", onEnd);
+    header.removeEventListener("pointercancel", onEnd);
+    element.classList.remove("dtp-card-dragging");
+    savePinnedPosition(parseFloat(element.style.left), parseFloat(element.style.top));
+  };
+
+  header.addEventListener("pointermove", onMove);
+  header.addEventListener("pointerup", onEnd);
+  header.addEventListener("pointercancel", onEnd);
+}
+
+// 主题切换时同步更新所有卡片（由 contentScript.js 的 applyTheme() 调用）
+function applyPinnedCardsTheme(theme) {
+  for (const card of pinnedCards) {
+    card.element.classList.remove("dtp-theme-light", "dtp-theme-dark");
+    card.element.classList.add(theme === "dark" ? "dtp-theme-dark" : "dtp-theme-light");
+  }
+}
+
+function loadPinnedPositions() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(PINNED_POSITIONS_STORAGE_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn("读取卡片位置失败", chrome.runtime.lastError);
+        resolve({});
+        return;
+      }
+      const map = result && result[PINNED_POSITIONS_STORAGE_KEY];
+      resolve(map && typeof map === "object" ? map : {});
+    });
+  });
+}
+
+// 当前网站记住的位置：{ left, top } 或 null
+function loadPinnedPosition() {
+  return loadPinnedPositions().then((map) => {
+    const saved = map[location.hostname];
+    return saved && typeof saved.left === "number" && typeof saved.top === "number"
+      ? saved
+      : null;
+  });
+}
+
+function savePinnedPosition(left, top) {
+  if (Number.isNaN(left) || Number.isNaN(top)) return;
+  loadPinnedPositions().then((map) => {
+    const next = { ...map, [location.hostname]: { left, top, time: Date.now() } };
+    const hosts = Object.keys(next).sort((a, b) => (next[b].time || 0) - (next[a].time || 0));
+    for (const host of hosts.slice(PINNED_MAX_SITES)) {
+      delete next[host];
+    }
+    chrome.storage.local.set({ [PINNED_POSITIONS_STORAGE_KEY]: next }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn("保存卡片位置失败", chrome.runtime.lastError);
+      }
+    });
+  });
+}
+
+// 窗口缩小后把卡片拉回视口内
+window.addEventListener("resize", () => {
+  for (const card of pinnedCards) {
+    const rect = card.element.getBoundingClientRect();
+    const next = clampPinnedCardPosition(card.element, rect.left, rect.top);
+    card.element.style.left = next.left + "px";
+    card.element.style.top = next.top + "px";
+  }
+});
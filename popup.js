@@ -0,0 +1,257 @@
+// popup.js
+// 工具栏弹窗：手动输入文本翻译（不依赖网页），并提供复习、生词本、设置等入口
+// 以及“在此网站启用 / 停用”开关（写入 settings.siteRules，见 siteRules.js）
+// 翻译同样通过 background 的 TRANSLATE_AND_DEFINE，展示内容与网页浮层一致
+
+let popupSettings = { ...DEFAULT_SETTINGS };
+// 最近一次成功的结果（用于播放与复制）
+let lastResult = null;
+let requestSeq = 0;
+// 当前标签页网址（仅 http / https 页面可设置网站规则）
+let activeTabUrl = "";
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function loadPopupSettings(callback) {
+  getSettings().then((settings) => {
+    popupSettings = settings;
+    callback();
+  });
+}
+
+function renderProviderOptions() {
+  const select = $("provider");
+  for (const p of getAllProviders(popupSettings)) {
+    const option = document.createElement("option");
+    option.value = p.id;
+    option.textContent = p.name;
+    select.appendChild(option);
+  }
+}
+
+// 输入的文本已是目标语言时反向翻译（例如目标为中文时输入中文 → 译为英文）
+function resolvePopupTargetLang(text) {
+  const target = popupSettings.targetLang;
+  return detectLanguageAsync(text).then((detected) =>
+    isSameLanguageFamily(detected, target) ? getReverseTargetLang(target) : target
+  );
+}
+
+function translateInput() {
+  const text = $("input").value.trim();
+  if (!text) return;
+
+  const seq = ++requestSeq;
+  resolvePopupTargetLang(text).then((targetLang) => {
+    if (seq === requestSeq) sendPopupTranslation(text, targetLang, seq);
+  });
+}
+
+function sendPopupTranslation(text, targetLang, seq) {
+  lastResult = null;
+
+  $("result").classList.remove("hidden");
+  $("resultLabel").textContent = getTranslationLabel(targetLang);
+  $("resultTranslation").textContent = "正在翻译...";
+  $("resultIpa").textContent = "";
+  $("resultLemma").textContent = "";
+  $("resultTags").classList.add("hidden");
+  $("resultDict").classList.add("hidden");
+  $("resultProvider").textContent = "";
+  $("resultError").textContent = "";
+  $("translate").disabled = true;
+  $("copy").disabled = true;
+  $("play").classList.toggle("hidden", !popupSettings.showPronounce);
+
+  chrome.runtime.sendMessage(
+    {
+      type: "TRANSLATE_AND_DEFINE",
+      text,
+      isWord: /^[A-Za-z][A-Za-z\-']*$/.test(text),
+      targetLang,
+      provider: $("provider").value || undefined,
+      recordHistory: true
+    },
+    (response) => {
+      if (seq !== requestSeq) return;
+      $("translate").disabled = false;
+
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.warn("弹窗翻译失败", chrome.runtime.lastError);
+        $("resultTranslation").textContent = "翻译失败，请稍后重试。";
+        $("resultError").textContent =
+          (response && response.error) || "接口不可用，已回退/请稍后重试";
+        return;
+      }
+
+      lastResult = {
+        text,
+        translation: response.translation || "",
+        sourceLang: response.sourceLang,
+        audio: response.dict && response.dict.audio ? response.dict.audio : null
+      };
+
+      $("resultTranslation").textContent = lastResult.translation || "(无翻译结果)";
+      $("resultIpa").textContent =
+        popupSettings.showPronounce && response.dict && response.dict.ipa
+          ? response.dict.ipa
+          : "";
+      $("resultLemma").textContent = formatLemmaNote(text, response.dict && response.dict.lemma);
+      const hasTags = renderWordTags($("resultTags"), response.dict && response.dict.tags);
+      $("resultTags").classList.toggle("hidden", !hasTags);
+      const hasMeanings = renderDictionaryMeanings(
+        $("resultDictBody"),
+        response.dict && response.dict.meanings
+      );
+      $("resultDict").classList.toggle("hidden", !hasMeanings);
+      $("resultProvider").textContent = response.provider
+        ? "翻译来源：" + response.provider
+        : "";
+      $("copy").disabled = !lastResult.translation;
+    }
+  );
+}
+
+function playInput() {
+  const text = lastResult ? lastResult.text : $("input").value.trim();
+  if (!text) return;
+  const lang = getLanguage(lastResult ? lastResult.sourceLang : detectLanguage(text));
+  speakText(text, {
+    rate: popupSettings.ttsRate,
+    voice: popupSettings.ttsVoice,
+    lang: lang ? lang.tts : "en-US",
+    audio: lastResult ? lastResult.audio : null
+  });
+}
+
+function copyTranslation() {
+  if (!lastResult || !lastResult.translation) return;
+  navigator.clipboard.writeText(lastResult.translation).then(
+    () => {
+      $("copy").textContent = "已复制";
+      setTimeout(() => {
+        $("copy").textContent = "复制译文";
+      }, 1200);
+    },
+    (err) => {
+      console.warn("复制译文失败", err);
+    }
+  );
+}
+
+function openExtensionPage(path) {
+  chrome.tabs.create({ url: chrome.runtime.getURL(path) });
+  window.close();
+}
+
+function togglePageTranslationInTab() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs && tabs[0];
+    if (!tab || typeof tab.id !== "number") return;
+    chrome.tabs.sendMessage(
+      tab.id,
+      { type: "RUN_COMMAND", command: "toggle-page-translation" },
+      () => {
+        if (chrome.runtime.lastError) {
+          $("result").classList.remove("hidden");
+          $("resultError").textContent = "当前页面不支持全文翻译";
+          return;
+        }
+        window.close();
+      }
+    );
+  });
+}
+
+function renderSiteToggle() {
+  const link = $("toggleSite");
+  if (!activeTabUrl) {
+    link.classList.add("hidden");
+    return;
+  }
+  const enabled = resolveSiteTrigger(activeTabUrl, popupSettings) !== "disabled";
+  link.textContent = enabled ? "在此网站停用" : "在此网站启用";
+  link.classList.remove("hidden");
+}
+
+function loadActiveTabUrl() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs && tabs[0];
+    activeTabUrl = tab && /^https?:/.test(tab.url || "") ? tab.url : "";
+    renderSiteToggle();
+  });
+}
+
+// 基于存储中的最新设置修改，避免覆盖其他页面刚保存的字段
+function toggleCurrentSite() {
+  if (!activeTabUrl) return;
+  getSettings()
+    .then((settings) => patchSettings({ siteRules: toggleSiteRule(activeTabUrl, settings) }))
+    .then((settings) => {
+      popupSettings = settings;
+      renderSiteToggle();
+    })
+    .catch((err) => {
+      $("result").classList.remove("hidden");
+      $("resultError").textContent = "保存网站规则失败：" + err.message;
+    });
+}
+
+function loadDueCount() {
+  chrome.runtime.sendMessage({ type: "REVIEW_GET_DUE", limit: 1 }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) return;
+    if (response.dueCount > 0) {
+      $("openReview").textContent = "复习（" + response.dueCount + "）";
+    }
+  });
+}
+
+function bindEvents() {
+  $("translate").addEventListener("click", () => {
+    translateInput();
+  });
+  $("input").addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      translateInput();
+    }
+  });
+  $("play").addEventListener("click", () => {
+    playInput();
+  });
+  $("copy").addEventListener("click", () => {
+    copyTranslation();
+  });
+  $("togglePage").addEventListener("click", () => {
+    togglePageTranslationInTab();
+  });
+  $("toggleSite").addEventListener("click", () => {
+    toggleCurrentSite();
+  });
+  $("openReview").addEventListener("click", () => {
+    openExtensionPage("review.html");
+  });
+  $("openWordbook").addEventListener("click", () => {
+    openExtensionPage("wordbook.html");
+  });
+  $("openHistory").addEventListener("click", () => {
+    openExtensionPage("history.html");
+  });
+  $("openOptions").addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+}
+
+window.addEventListener("DOMContentLoaded", () => {
+  initVoices();
+  bindEvents();
+  loadPopupSettings(() => {
+    renderProviderOptions();
+    loadActiveTabUrl();
+  });
+  loadDueCount();
+  $("input").focus();
+});
@@ -0,0 +1,331 @@
+// providers.js
+// 翻译 Provider 注册表，供 background（importScripts）与选项页共用
+// - 适配器（adapter）：按接口类型注册，声明 id、名称、能力与可配置字段，并实现 translate()
+// - Provider 实例：某个适配器 + 具体配置（如自建 LibreTranslate 的地址与 API Key）
+//   内置实例见 BUILTIN_PROVIDERS，用户在选项页添加的自定义端点保存在 settings.customProviders
+//   （API Key 不随设置同步，另存于 storage.local，见 settingsStore.js）
+// - 网络请求统一带超时，并对 429 / 5xx 按指数退避重试（遵循 Retry-After），参数见 DEFAULT_REQUEST_POLICY
+
+const providerAdapters = new Map();
+
+// 注册适配器
+// adapter: {
+//   id: 适配器类型，例如 "libre"
+//   name: 显示名称
+//   capabilities: { autoDetect: 是否支持源语言自动检测, apiKey: 是否支持 API Key }
+//   configFields: 选项页中可编辑的配置项（baseUrl / apiKey / timeout）
+//   translate(text, { source, target }, config): Promise<{ translation }>
+// }
+// background 调用 translate() 前会通过 applyRequestPolicy() 在 config 上补齐超时与重试参数
+function registerProviderAdapter(adapter) {
+  if (!adapter || !adapter.id || typeof adapter.translate !== "function") {
+    throw new Error("无效的 Provider 适配器");
+  }
+  providerAdapters.set(adapter.id, adapter);
+}
+
+function getProviderAdapter(type) {
+  return providerAdapters.get(type) || null;
+}
+
+function listProviderAdapters() {
+  return Array.from(providerAdapters.values());
+}
+
+// 源语言为 "auto"（未能确定）时只交给支持自动检测的适配器，不再按英文猜测
+function canTranslateFrom(providerConfig, source) {
+  const adapter = providerConfig && getProviderAdapter(providerConfig.type);
+  if (!adapter) return false;
+  return source !== "auto" || !!(adapter.capabilities && adapter.capabilities.autoDetect);
+}
+
+// 内置 Provider 实例，id 与旧版 provider 设置值保持一致
+const BUILTIN_PROVIDERS = [
+  {
+    id: "libre",
+    type: "libre",
+    name: "LibreTranslate",
+    baseUrl: "https://libretranslate.de",
+    apiKey: "",
+    timeout: 0,
+    builtin: true
+  },
+  {
+    id: "mymemory",
+    type: "mymemory",
+    name: "MyMemory",
+    timeout: 0,
+    builtin: true
+  }
+];
+
+// 规范化用户添加的自定义端点，丢弃无法使用的配置
+function normalizeCustomProviders(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(
+      (p) =>
+        p &&
+        typeof p.id === "string" &&
+        p.id &&
+        getProviderAdapter(p.type) &&
+        typeof p.baseUrl === "string" &&
+        /^https?:\/\//i.test(p.baseUrl)
+    )
+    .map((p) => ({
+      id: p.id,
+      type: p.type,
+      name: p.name || p.baseUrl,
+      baseUrl: p.baseUrl.replace(/\/+$/, ""),
+      apiKey: typeof p.apiKey === "string" ? p.apiKey : "",
+      timeout:
+        typeof p.timeout === "number" && p.timeout > 0 ? Math.round(p.timeout) : 0
+    }));
+}
+
+// 全部可用 Provider 实例：自定义端点在前（通常是团队内部服务），内置在后
+function getAllProviders(settings) {
+  const custom = normalizeCustomProviders(settings && settings.customProviders);
+  return custom.concat(BUILTIN_PROVIDERS);
+}
+
+function findProvider(settings, id) {
+  return getAllProviders(settings).find((p) => p.id === id) || null;
+}
+
+// 根据设置得到翻译 provider 调用顺序
+// - "auto"：全部 Provider 依次尝试（默认：自定义端点 → LibreTranslate → MyMemory）
+// - 具体 id：仅使用该 Provider；id 已失效（例如端点被删除）时回退到 auto
+function getProvidersOrder(settings) {
+  const all = getAllProviders(settings);
+  const selected = settings && settings.provider;
+  if (selected && selected !== "auto") {
+    const match = all.find((p) => p.id === selected);
+    if (match) return [match];
+  }
+  return all;
+}
+
+// 网络请求策略默认值（设置项同名，可在选项页修改）
+const DEFAULT_REQUEST_POLICY = {
+  requestTimeoutMs: 8000, // 单次请求超时；自定义端点单独设置的超时优先
+  requestMaxRetries: 2, // 429 / 5xx 时最多重试次数
+  retryBaseDelayMs: 500, // 指数退避的初始等待时间
+  circuitFailureThreshold: 3, // 连续失败多少次后暂时跳过该 Provider
+  circuitCooldownSec: 60 // 跳过多久后再尝试
+};
+// 单次重试最长等待时间；Retry-After 超过该值时不再重试，直接回退到下一个 Provider
+const RETRY_MAX_DELAY_MS = 10000;
+
+function normalizeRequestPolicy(raw) {
+  const source = raw || {};
+  const pick = (key, min, max) => {
+    const v = source[key];
+    return typeof v === "number" && !Number.isNaN(v) && v >= min && v <= max
+      ? v
+      : DEFAULT_REQUEST_POLICY[key];
+  };
+  return {
+    requestTimeoutMs: pick("requestTimeoutMs", 1000, 60000),
+    requestMaxRetries: pick("requestMaxRetries", 0, 5),
+    retryBaseDelayMs: pick("retryBaseDelayMs", 100, RETRY_MAX_DELAY_MS),
+    circuitFailureThreshold: pick("circuitFailureThreshold", 1, 20),
+    circuitCooldownSec: pick("circuitCooldownSec", 5, 3600)
+  };
+}
+
+// 在 Provider 配置上补齐超时与重试参数，供 fetchJsonWithRetry() 使用
+function applyRequestPolicy(config, settings) {
+  const policy = normalizeRequestPolicy(settings);
+  return {
+    ...config,
+    timeout: config.timeout > 0 ? config.timeout : policy.requestTimeoutMs,
+    maxRetries: policy.requestMaxRetries,
+    retryBaseDelay: policy.retryBaseDelayMs
+  };
+}
+
+// 带 HTTP 状态码的错误，诊断记录据此区分失败类型
+function createHttpError(label, status) {
+  const err = new Error(label + " HTTP " + status);
+  err.status = status;
+  return err;
+}
+
+// 接口正常返回但没有翻译结果
+function createEmptyResultError(label) {
+  const err = new Error(label + " 未返回翻译结果");
+  err.code = "empty";
+  return err;
+}
+
+function createCustomProviderId() {
+  return "custom-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// 成功时读取 JSON 响应体，返回 { ok, status, headers, data }（失败状态码不读取响应体，data 为 null）
+async function readJsonResponse(response) {
+  return {
+    ok: response.ok,
+    status: response.status,
+    headers: response.headers,
+    data: response.ok ? await response.json() : null
+  };
+}
+
+// 带超时的 JSON 请求，timeout <= 0 时不限制
+// 超时覆盖到响应体读取完成，服务端发完响应头后卡住时同样按超时处理
+async function fetchJsonWithTimeout(url, options, timeout) {
+  if (!timeout || timeout <= 0) {
+    return readJsonResponse(await fetch(url, options));
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, { ...(options || {}), signal: controller.signal });
+    return await readJsonResponse(response);
+  } catch (err) {
+    if (err && err.name === "AbortError") {
+      const timeoutError = new Error("请求超时（" + timeout + "ms）");
+      timeoutError.code = "timeout";
+      throw timeoutError;
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// 解析 Retry-After（秒数或 HTTP 日期），返回需要等待的毫秒数
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// 带超时与重试的 JSON 请求：仅对 429 / 5xx 重试，超时和网络错误直接抛出，交给调用方回退
+// config: { timeout, maxRetries, retryBaseDelay }；返回值同 fetchJsonWithTimeout()
+async function fetchJsonWithRetry(url, options, config) {
+  const maxRetries = config && config.maxRetries > 0 ? config.maxRetries : 0;
+  const baseDelay =
+    config && config.retryBaseDelay > 0
+      ? config.retryBaseDelay
+      : DEFAULT_REQUEST_POLICY.retryBaseDelayMs;
+
+  for (let attempt = 0; ; attempt += 1) {
+    const response = await fetchJsonWithTimeout(url, options, config && config.timeout);
+    if (!isRetryableStatus(response.status) || attempt >= maxRetries) {
+      return response;
+    }
+
+    // 指数退避并加入少量随机抖动，避免多个请求同时重试
+    const backoff = Math.min(RETRY_MAX_DELAY_MS, baseDelay * 2 ** attempt);
+    const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    const delay = retryAfter !== null ? retryAfter : backoff * (1 + Math.random() * 0.2);
+    if (delay > RETRY_MAX_DELAY_MS) {
+      return response;
+    }
+    await sleep(delay);
+  }
+}
+
+// 调用 LibreTranslate（公共实例或自建服务）
+async function translateWithLibre(text, langs, config) {
+  const url = config.baseUrl.replace(/\/+$/, "") + "/translate";
+  const sourceLang = getLanguage(langs.source);
+  const targetLang = getLanguage(langs.target);
+  const payload = {
+    q: text,
+    source: sourceLang ? sourceLang.libre : "auto",
+    target: targetLang ? targetLang.libre : "zh",
+    format: "text"
+  };
+  if (config.apiKey) {
+    payload.api_key = config.apiKey;
+  }
+
+  const response = await fetchJsonWithRetry(
+    url,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(payload)
+    },
+    config
+  );
+
+  if (!response.ok) {
+    throw createHttpError("LibreTranslate", response.status);
+  }
+
+  const data = response.data;
+  // 不同公共实例字段可能略有差异，做兼容处理
+  const translated = data.translatedText || data.translation || data.translated_text;
+  if (!translated) {
+    throw createEmptyResultError("LibreTranslate");
+  }
+
+  return {
+    translation: translated
+  };
+}
+
+// 调用 MyMemory 翻译（不支持自动检测：background 不会以 "auto" 调用，见 canTranslateFrom()；这里的英文只是兜底）
+async function translateWithMyMemory(text, langs, config) {
+  const sourceLang = getLanguage(langs.source) || getLanguage("en");
+  const targetLang = getLanguage(langs.target) || getLanguage(DEFAULT_TARGET_LANG);
+  const url =
+    "https://api.mymemory.translated.net/get?q=" +
+    encodeURIComponent(text) +
+    "&langpair=" +
+    encodeURIComponent(sourceLang.mymemory + "|" + targetLang.mymemory);
+
+  const response = await fetchJsonWithRetry(url, undefined, config);
+  if (!response.ok) {
+    throw createHttpError("MyMemory", response.status);
+  }
+
+  const data = response.data;
+  let translated =
+    data?.responseData?.translatedText ||
+    (Array.isArray(data?.matches) && data.matches.length > 0
+      ? data.matches[0].translation
+      : "");
+
+  if (!translated) {
+    throw createEmptyResultError("MyMemory");
+  }
+
+  return {
+    translation: translated
+  };
+}
+
+registerProviderAdapter({
+  id: "libre",
+  name: "LibreTranslate",
+  capabilities: { autoDetect: true, apiKey: true },
+  configFields: ["baseUrl", "apiKey", "timeout"],
+  translate: translateWithLibre
+});
+
+registerProviderAdapter({
+  id: "mymemory",
+  name: "MyMemory",
+  capabilities: { autoDetect: false, apiKey: false },
+  configFields: ["timeout"],
+  translate: translateWithMyMemory
+});
@@ -0,0 +1,183 @@
+// review.js
+// 生词复习页面：依次展示到期卡片，先显示英文，再揭示翻译与音标并按 SM-2 评分
+// 调度逻辑在 background（REVIEW_GET_DUE / REVIEW_GRADE），发音复用 tts.js
+
+// 只用到朗读相关设置（ttsRate / ttsVoice）
+let ttsSettings = { ...DEFAULT_SETTINGS };
+let queue = [];
+let current = null;
+let revealed = false;
+let reviewedCount = 0;
+// 提交评分期间忽略重复按键
+let grading = false;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function loadTtsSettings() {
+  getSettings().then((settings) => {
+    ttsSettings = settings;
+  });
+}
+
+function loadQueue() {
+  chrome.runtime.sendMessage({ type: "REVIEW_GET_DUE" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.warn("读取复习卡片失败", chrome.runtime.lastError);
+      showEmpty("读取复习卡片失败，请稍后刷新重试。");
+      return;
+    }
+
+    queue = response.cards;
+    if (response.total === 0) {
+      showEmpty("生词本为空。在网页浮层中点击“加入生词本”后即可开始复习。");
+      return;
+    }
+    showNext();
+  });
+}
+
+function updateProgress() {
+  $("progress").textContent =
+    "本轮已复习 " + reviewedCount + " 张，剩余 " + queue.length + " 张";
+}
+
+function showEmpty(message) {
+  current = null;
+  $("card").classList.add("hidden");
+  $("empty").classList.remove("hidden");
+  $("empty").textContent = message;
+  updateProgress();
+}
+
+function showNext() {
+  stopSpeaking();
+
+  if (queue.length === 0) {
+    showEmpty(
+      reviewedCount > 0
+        ? "太棒了，今天的复习已全部完成！"
+        : "当前没有到期的卡片，稍后再来吧。"
+    );
+    return;
+  }
+
+  current = queue.shift();
+  revealed = false;
+
+  $("empty").classList.add("hidden");
+  $("card").classList.remove("hidden");
+  $("answer").classList.add("hidden");
+  $("reveal").classList.remove("hidden");
+
+  $("cardText").textContent = current.text;
+  $("cardIpa").textContent = current.ipa || "";
+  $("cardTranslation").textContent = current.translation || "(无翻译结果)";
+  $("cardContext").textContent = current.context
+    ? "语境：" + current.context + (current.contextTranslation ? "\n" + current.contextTranslation : "")
+    : "";
+  $("cardNote").textContent = current.note ? "备注：" + current.note : "";
+
+  renderGrades();
+  updateProgress();
+}
+
+function renderGrades() {
+  const container = $("grades");
+  container.textContent = "";
+  const now = Date.now();
+
+  REVIEW_GRADES.forEach((grade, index) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "grade" + (grade.quality < 3 ? " secondary" : "");
+
+    const label = document.createElement("span");
+    label.textContent = index + 1 + ". " + grade.label;
+    const interval = document.createElement("small");
+    interval.textContent = describeReviewInterval(current.review, grade.quality, now);
+
+    btn.appendChild(label);
+    btn.appendChild(interval);
+    btn.addEventListener("click", () => {
+      submitGrade(grade.quality);
+    });
+    container.appendChild(btn);
+  });
+}
+
+function reveal() {
+  if (!current || revealed) return;
+  revealed = true;
+  $("answer").classList.remove("hidden");
+  $("reveal").classList.add("hidden");
+}
+
+function play() {
+  if (!current) return;
+  speakText(current.text, {
+    rate: ttsSettings.ttsRate,
+    voice: ttsSettings.ttsVoice,
+    audio: current.audio
+  });
+}
+
+function submitGrade(quality) {
+  if (!current || !revealed || grading) return;
+  grading = true;
+
+  const card = current;
+  chrome.runtime.sendMessage(
+    { type: "REVIEW_GRADE", id: card.id, quality },
+    (response) => {
+      grading = false;
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.warn("提交复习结果失败", chrome.runtime.lastError);
+        alert("提交复习结果失败，请稍后重试。");
+        return;
+      }
+
+      reviewedCount += 1;
+      // 回答“重来”的卡片在本轮末尾再次出现
+      if (quality < 3) {
+        queue.push(response.entry);
+      }
+      showNext();
+    }
+  );
+}
+
+function bindEvents() {
+  $("reveal").addEventListener("click", () => {
+    reveal();
+  });
+  $("play").addEventListener("click", () => {
+    play();
+  });
+
+  document.addEventListener("keydown", (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    if (event.key === " " || event.key === "Enter") {
+      event.preventDefault();
+      reveal();
+    } else if (event.key === "p" || event.key === "P") {
+      play();
+    } else if (/^[1-4]$/.test(event.key)) {
+      const grade = REVIEW_GRADES[Number(event.key) - 1];
+      submitGrade(grade.quality);
+    }
+  });
+
+  onSettingsChanged((settings) => {
+    ttsSettings = settings;
+  });
+}
+
+window.addEventListener("DOMContentLoaded", () => {
+  initVoices();
+  loadTtsSettings();
+  bindEvents();
+  loadQueue();
+});
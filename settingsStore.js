@@ -0,0 +1,435 @@
+// settingsStore.js
+// 统一的设置定义：默认值、校验、旧版本迁移与读写（background、内容脚本、选项页、弹窗、复习页共用）
+// - 设置保存在 chrome.storage.sync 的 "settings" 键下，带 version 字段标记结构版本；
+//   网站规则与自定义端点可能很多，各自保存在同名的独立键下，超过同步存储单项 8 KB 的上限时
+//   继续拆到 "siteRules.1"、"siteRules.2"……；写入前检查大小，超出同步存储总配额时给出明确的错误
+// - 自定义端点的 API Key 不随账号同步：单独保存在 chrome.storage.local 的 "providerSecrets" 键下（以端点 id 为键），
+//   读取时合并回 customProviders
+// - 读取时先按 SETTINGS_MIGRATIONS 升级旧结构，再逐项校验，无效值回退为默认值
+// - 依赖 languages.js、providers.js（自定义端点与网络请求策略）、siteRules.js（网站规则）
+
+const SETTINGS_STORAGE_KEY = "settings";
+const PROVIDER_SECRETS_STORAGE_KEY = "providerSecrets";
+// 单独保存在 chrome.storage.sync 中的列表字段（键名与字段名相同）及其在错误提示中的名称
+const SETTINGS_LIST_FIELDS = { siteRules: "网站规则", customProviders: "自定义端点" };
+// chrome.storage.sync 的 QUOTA_BYTES_PER_ITEM / QUOTA_BYTES 不可用时使用的值
+const SETTINGS_ITEM_QUOTA_BYTES = 8192;
+const SETTINGS_TOTAL_QUOTA_BYTES = 102400;
+const SETTINGS_SCHEMA_VERSION = 3;
+// 导出文件的格式标记
+const SETTINGS_EXPORT_FORMAT = "dtp-settings";
+
+const DEFAULT_SETTINGS = {
+  version: SETTINGS_SCHEMA_VERSION,
+  provider: "auto", // auto | Provider id（内置 libre / mymemory 或自定义端点，见 providers.js）
+  theme: "auto", // light | dark | auto
+  ttsRate: 1.0,
+  ttsVoice: "auto", // auto | en-US | en-GB
+  showPronounce: true,
+  autoPopupOnSelect: true,
+  hoverModifier: "off", // 悬停取词的修饰键：off | alt | ctrl | shift（见 hoverTranslate.js）
+  hoverSentenceModifier: "shift", // 同时按住时改为翻译整句，与 hoverModifier 相同时不生效
+  hoverDelayMs: 400, // 悬停多久后翻译
+  overlayAutoFocus: false, // 双击 / 划词打开浮层时将焦点移入浮层（快捷键与右键菜单打开时总是聚焦）
+  sourceLang: DEFAULT_SOURCE_LANG, // auto | LANGUAGES 中的 code（见 languages.js）
+  targetLang: DEFAULT_TARGET_LANG,
+  customProviders: [], // 自定义翻译端点，结构见 normalizeCustomProviders()
+  cacheMaxEntries: 2000, // 持久化缓存的条目上限，cacheStore.js 也以此为默认值
+  cacheTtlHours: 168, // 0 表示不过期
+  offlineDict: true, // 单词优先使用内置离线词典（英译中）
+  recordHistory: true, // 记录查词历史（见 historyStore.js）
+  highlightWords: "off", // 在网页中高亮查过的单词：off | starred（仅生词本）| all（见 highlightWords.js）
+  compareProviders: false, // 对比模式：浮层中并行查询全部 Provider 并逐行展示
+  preferredProvider: "", // 对比模式下标记的首选 Provider id
+  siteMode: DEFAULT_SITE_MODE, // blocklist | allowlist（见 siteRules.js）
+  siteRules: [],
+  ...DEFAULT_REQUEST_POLICY // 超时、重试与熔断参数，见 providers.js
+};
+
+const SETTINGS_THEMES = ["auto", "light", "dark"];
+const SETTINGS_TTS_VOICES = ["auto", "en-US", "en-GB"];
+const SETTINGS_HOVER_MODIFIERS = ["off", "alt", "ctrl", "shift"];
+const SETTINGS_HIGHLIGHT_MODES = ["off", "starred", "all"];
+
+// 旧版本迁移：键为迁移后的版本号，按顺序依次执行
+// 1：首个带版本号的结构，字段与之前相同，只补上 version（无效的值由 normalizeSettings 回退为默认值）
+// 2：字段不变，自定义端点的 API Key 改存 storage.local（升级时由 migrateStoredSettings 重新写入完成搬移）
+// 3：字段不变，siteRules 与 customProviders 改存独立的同步键（同上，重新写入时拆分）
+const SETTINGS_MIGRATIONS = {
+  1: (raw) => ({ ...raw }),
+  2: (raw) => ({ ...raw }),
+  3: (raw) => ({ ...raw })
+};
+
+// 将存储中的设置升级到当前版本；来自更新版本的设置原样返回（由校验丢弃未知值）
+function migrateSettings(raw) {
+  let current = raw && typeof raw === "object" && !Array.isArray(raw) ? { ...raw } : {};
+  let version = typeof current.version === "number" ? current.version : 0;
+  while (version < SETTINGS_SCHEMA_VERSION) {
+    version += 1;
+    if (SETTINGS_MIGRATIONS[version]) {
+      current = SETTINGS_MIGRATIONS[version](current);
+    }
+    current.version = version;
+  }
+  return current;
+}
+
+function pickNumber(raw, key, min, max) {
+  const v = raw[key];
+  return typeof v === "number" && !Number.isNaN(v) && v >= min && v <= max
+    ? v
+    : DEFAULT_SETTINGS[key];
+}
+
+function pickBoolean(raw, key) {
+  return typeof raw[key] === "boolean" ? raw[key] : DEFAULT_SETTINGS[key];
+}
+
+function pickChoice(raw, key, choices) {
+  return choices.includes(raw[key]) ? raw[key] : DEFAULT_SETTINGS[key];
+}
+
+// 迁移并校验设置，返回完整的设置对象
+function normalizeSettings(raw) {
+  const stored = migrateSettings(raw);
+  return {
+    version: SETTINGS_SCHEMA_VERSION,
+    provider:
+      typeof stored.provider === "string" && stored.provider
+        ? stored.provider
+        : DEFAULT_SETTINGS.provider,
+    theme: pickChoice(stored, "theme", SETTINGS_THEMES),
+    ttsRate: pickNumber(stored, "ttsRate", 0.8, 1.2), // 与选项页滑块范围一致
+    ttsVoice: pickChoice(stored, "ttsVoice", SETTINGS_TTS_VOICES),
+    showPronounce: pickBoolean(stored, "showPronounce"),
+    autoPopupOnSelect: pickBoolean(stored, "autoPopupOnSelect"),
+    hoverModifier: pickChoice(stored, "hoverModifier", SETTINGS_HOVER_MODIFIERS),
+    hoverSentenceModifier: pickChoice(
+      stored,
+      "hoverSentenceModifier",
+      SETTINGS_HOVER_MODIFIERS.filter((m) => m !== "off")
+    ),
+    hoverDelayMs: pickNumber(stored, "hoverDelayMs", 100, 2000),
+    overlayAutoFocus: pickBoolean(stored, "overlayAutoFocus"),
+    sourceLang:
+      stored.sourceLang === "auto" || getLanguage(stored.sourceLang)
+        ? stored.sourceLang
+        : DEFAULT_SETTINGS.sourceLang,
+    targetLang: getLanguage(stored.targetLang) ? stored.targetLang : DEFAULT_SETTINGS.targetLang,
+    customProviders: normalizeCustomProviders(stored.customProviders),
+    cacheMaxEntries: pickNumber(stored, "cacheMaxEntries", 100, 100000),
+    cacheTtlHours: pickNumber(stored, "cacheTtlHours", 0, 24 * 365),
+    offlineDict: pickBoolean(stored, "offlineDict"),
+    recordHistory: pickBoolean(stored, "recordHistory"),
+    highlightWords: pickChoice(stored, "highlightWords", SETTINGS_HIGHLIGHT_MODES),
+    compareProviders: pickBoolean(stored, "compareProviders"),
+    preferredProvider:
+      typeof stored.preferredProvider === "string"
+        ? stored.preferredProvider
+        : DEFAULT_SETTINGS.preferredProvider,
+    siteMode: normalizeSiteMode(stored.siteMode),
+    siteRules: normalizeSiteRules(stored.siteRules),
+    ...normalizeRequestPolicy(stored)
+  };
+}
+
+// 校验导入的设置：返回 { settings, warnings }，warnings 列出被忽略或回退为默认值的字段
+function validateSettings(raw) {
+  const migrated = migrateSettings(raw);
+  const settings = normalizeSettings(migrated);
+  const warnings = [];
+
+  for (const key of Object.keys(migrated)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      warnings.push("未知字段 " + key + " 已忽略");
+    } else if (key === "customProviders" || key === "siteRules") {
+      const count = Array.isArray(migrated[key]) ? migrated[key].length : 0;
+      if (count !== settings[key].length) {
+        warnings.push(key + " 中有 " + (count - settings[key].length) + " 项无效，已忽略");
+      }
+    } else if (JSON.stringify(migrated[key]) !== JSON.stringify(settings[key])) {
+      warnings.push("字段 " + key + " 的值无效，已使用默认值");
+    }
+  }
+  if (migrated.sourceLang !== "auto" && isSameLanguageFamily(settings.sourceLang, settings.targetLang)) {
+    warnings.push("源语言与目标语言相同，源语言已改为自动检测");
+    settings.sourceLang = "auto";
+  }
+  return { settings, warnings };
+}
+
+// 读取存储区域（"sync" / "local"）中的键，失败时返回 {}
+function readSettingsStorage(area, keys) {
+  return new Promise((resolve) => {
+    try {
+      chrome.storage[area].get(keys, (result) => {
+        if (chrome.runtime.lastError) {
+          console.warn("读取设置失败，使用默认设置", chrome.runtime.lastError);
+          resolve({});
+          return;
+        }
+        resolve(result || {});
+      });
+    } catch (e) {
+      console.error("读取设置出现异常", e);
+      resolve({});
+    }
+  });
+}
+
+function writeSettingsStorage(area, items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+function pickProviderSecrets(result) {
+  const secrets = result && result[PROVIDER_SECRETS_STORAGE_KEY];
+  return secrets && typeof secrets === "object" && !Array.isArray(secrets) ? secrets : {};
+}
+
+// 把 storage.local 中的 API Key 合并回自定义端点（旧版本直接保存在设置中的 Key 在搬移前仍然有效）
+function mergeProviderSecrets(stored, secrets) {
+  if (!stored || typeof stored !== "object" || !Array.isArray(stored.customProviders)) {
+    return stored;
+  }
+  return {
+    ...stored,
+    customProviders: stored.customProviders.map((p) =>
+      p && typeof secrets[p.id] === "string" && secrets[p.id] ? { ...p, apiKey: secrets[p.id] } : p
+    )
+  };
+}
+
+// 保存 API Key：只保留仍然存在的端点；端点没有带 Key 时沿用已保存的 Key
+async function writeProviderSecrets(customProviders) {
+  const stored = pickProviderSecrets(await readSettingsStorage("local", PROVIDER_SECRETS_STORAGE_KEY));
+  const secrets = {};
+  for (const p of customProviders) {
+    const key = p.apiKey || stored[p.id];
+    if (key) secrets[p.id] = key;
+  }
+  if (JSON.stringify(secrets) === JSON.stringify(stored)) return;
+  await writeSettingsStorage("local", { [PROVIDER_SECRETS_STORAGE_KEY]: secrets });
+}
+
+// 列表字段第 index 段所在的同步键：第 0 段与字段同名，之后为 "siteRules.1"、"siteRules.2"……
+function getSettingsChunkKey(field, index) {
+  return index === 0 ? field : field + "." + index;
+}
+
+// 是否为列表字段（或其分段）的同步键
+function isSettingsListKey(key) {
+  return key.split(".")[0] in SETTINGS_LIST_FIELDS;
+}
+
+// 读取存储中未经校验的设置：合并分段保存的列表字段与 API Key；从未保存过时返回 null
+// 旧版本把列表字段保存在 "settings" 中，独立的键不存在时沿用
+async function readStoredSettings() {
+  const [synced, local] = await Promise.all([
+    readSettingsStorage("sync", null),
+    readSettingsStorage("local", PROVIDER_SECRETS_STORAGE_KEY)
+  ]);
+  const main = synced[SETTINGS_STORAGE_KEY];
+  if (!main || typeof main !== "object") return null;
+
+  // 分段数与 "settings" 在同一次写入中保存，不会读到写入一半或尚未删除的旧分段
+  const { listChunks, ...stored } = main;
+  for (const field of Object.keys(SETTINGS_LIST_FIELDS)) {
+    if (!Array.isArray(synced[field])) continue;
+    const count = listChunks && Number.isInteger(listChunks[field]) ? listChunks[field] : 1;
+    let list = [];
+    for (let i = 0; i < count; i++) {
+      const chunk = synced[getSettingsChunkKey(field, i)];
+      if (Array.isArray(chunk)) list = list.concat(chunk);
+    }
+    stored[field] = list;
+  }
+  return mergeProviderSecrets(stored, pickProviderSecrets(local));
+}
+
+// 读取设置，失败时使用默认值
+async function getSettings() {
+  return normalizeSettings(await readStoredSettings());
+}
+
+// chrome.storage.sync 计算大小的方式：键名 + 值的 JSON 的字节数
+function getSettingsItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+function getSyncQuota(name, fallback) {
+  return (chrome.storage.sync && chrome.storage.sync[name]) || fallback;
+}
+
+function createSettingsQuotaError(label, bytes, quota, scope) {
+  return new Error(
+    label +
+      "占用 " +
+      (bytes / 1024).toFixed(1) +
+      " KB，超过浏览器同步存储" +
+      scope +
+      " " +
+      Math.floor(quota / 1024) +
+      " KB 的上限，请删除或合并一部分后再保存"
+  );
+}
+
+// 把列表按单项上限拆成若干段，返回 { 同步键: 数组 }（空列表也保留第 0 段）
+function splitSettingsList(field, list) {
+  const quota = getSyncQuota("QUOTA_BYTES_PER_ITEM", SETTINGS_ITEM_QUOTA_BYTES);
+  const items = {};
+  let chunk = [];
+  for (const entry of list) {
+    const key = getSettingsChunkKey(field, Object.keys(items).length);
+    if (getSettingsItemBytes(key, chunk.concat([entry])) <= quota) {
+      chunk.push(entry);
+      continue;
+    }
+    if (chunk.length === 0) {
+      throw createSettingsQuotaError(
+        SETTINGS_LIST_FIELDS[field] + "中的单项",
+        getSettingsItemBytes(key, [entry]),
+        quota,
+        "单项"
+      );
+    }
+    items[key] = chunk;
+    chunk = [entry];
+  }
+  items[getSettingsChunkKey(field, Object.keys(items).length)] = chunk;
+  return items;
+}
+
+// 校验后整体写入；API Key 写入 storage.local，同步的设置中不含 Key
+async function setSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  const { siteRules, customProviders, ...main } = normalized;
+  const lists = {
+    siteRules: splitSettingsList("siteRules", siteRules),
+    customProviders: splitSettingsList(
+      "customProviders",
+      customProviders.map(({ apiKey, ...rest }) => rest)
+    )
+  };
+  const listChunks = {};
+  for (const field of Object.keys(lists)) {
+    listChunks[field] = Object.keys(lists[field]).length;
+  }
+  const items = {
+    [SETTINGS_STORAGE_KEY]: { ...main, listChunks },
+    ...lists.siteRules,
+    ...lists.customProviders
+  };
+  const total = Object.keys(items).reduce(
+    (sum, key) => sum + getSettingsItemBytes(key, items[key]),
+    0
+  );
+  const totalQuota = getSyncQuota("QUOTA_BYTES", SETTINGS_TOTAL_QUOTA_BYTES);
+  if (total > totalQuota) {
+    throw createSettingsQuotaError("网站规则与自定义端点", total, totalQuota, "总");
+  }
+
+  await writeProviderSecrets(customProviders);
+  // 列表变短后多出来的旧分段需要删除
+  const stale = Object.keys(await readSettingsStorage("sync", null)).filter(
+    (key) => isSettingsListKey(key) && !(key in items)
+  );
+  await writeSettingsStorage("sync", items);
+  if (stale.length > 0) {
+    await new Promise((resolve) => chrome.storage.sync.remove(stale, () => resolve()));
+  }
+  return normalized;
+}
+
+// 只修改部分字段：基于存储中的最新设置合并，避免覆盖其他页面刚保存的字段
+function patchSettings(patch) {
+  return getSettings().then((settings) => setSettings({ ...settings, ...patch }));
+}
+
+// 扩展更新后把旧版本的设置升级为当前结构保存（未保存过设置或已是当前版本时不写入）
+// 重新写入时把 API Key 搬到 storage.local、把列表字段拆到独立的键（见 setSettings）
+async function migrateStoredSettings() {
+  const stored = await readStoredSettings();
+  if (!stored || stored.version >= SETTINGS_SCHEMA_VERSION) return false;
+  try {
+    await setSettings(stored);
+    return true;
+  } catch (err) {
+    console.warn("迁移旧版本设置失败", err);
+    return false;
+  }
+}
+
+function resetSettings() {
+  return setSettings({});
+}
+
+// 监听设置变化（含 API Key），回调参数为重新读取并校验后的设置
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    const keys = Object.keys(changes);
+    if (
+      (area === "sync" &&
+        keys.some((key) => key === SETTINGS_STORAGE_KEY || isSettingsListKey(key))) ||
+      (area === "local" && changes[PROVIDER_SECRETS_STORAGE_KEY])
+    ) {
+      getSettings().then(callback);
+    }
+  });
+}
+
+// 导出为 JSON 文本，用于在团队内分发统一配置；不含自定义端点的 API Key
+function exportSettingsJson(settings) {
+  const normalized = normalizeSettings(settings);
+  return JSON.stringify(
+    {
+      format: SETTINGS_EXPORT_FORMAT,
+      version: SETTINGS_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: {
+        ...normalized,
+        customProviders: normalized.customProviders.map(({ apiKey, ...rest }) => rest)
+      }
+    },
+    null,
+    2
+  );
+}
+
+// 解析导出的 JSON（也接受直接的设置对象），返回 validateSettings() 的结果；格式不对时抛出异常
+function parseSettingsJson(text) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("文件不是有效的 JSON");
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("文件中没有设置数据");
+  }
+  if (data.format && data.format !== SETTINGS_EXPORT_FORMAT) {
+    throw new Error("不是设置导出的文件");
+  }
+
+  const raw = data.format ? data.settings : data;
+  if (!raw || typeof raw !== "object") {
+    throw new Error("文件中没有设置数据");
+  }
+  if (typeof raw.version === "number" && raw.version > SETTINGS_SCHEMA_VERSION) {
+    throw new Error("文件来自更新版本的扩展，请先升级");
+  }
+  const result = validateSettings(raw);
+  // 旧版本导出的文件带有 API Key：仍然导入（只保存在本机），但提醒不要继续分发该文件
+  if (result.settings.customProviders.some((p) => p.apiKey)) {
+    result.warnings.push("文件中包含自定义端点的 API Key（明文），导入后只保存在本机，请勿继续分发该文件");
+  }
+  return result;
+}
@@ -0,0 +1,101 @@
+// shadowSelection.js
+// Shadow DOM（Web Components）中的选区（内容脚本，供 contentScript.js、editableText.js、hoverTranslate.js 使用）
+// - 选区位于开放 Shadow Root 内时，document 级选区会被“重定向”到宿主元素：
+//   toString() 可能为空，getRangeAt(0) 的矩形是整个组件，浮层位置与语境都不对
+// - 优先用 Selection.getComposedRanges({ shadowRoots }) 取得跨越 Shadow 边界的真实选区，
+//   旧版 Chrome 退回非标准的 shadowRoot.getSelection()
+// - Shadow Root 只能从事件的 composedPath() 中取得，因此在捕获阶段记住最近一次鼠标 / 键盘操作所在的 Shadow Root
+// - 封闭（mode: "closed"）的 Shadow Root 无法访问，只能退回 document 级选区与事件坐标
+
+// 最近一次 mouseup / keyup 所在的开放 Shadow Root（由内到外）
+let lastSelectionShadowRoots = [];
+
+// 事件路径上的开放 Shadow Root（由内到外），不含扩展自身浮层与固定卡片所在的 Shadow Root
+function getEventShadowRoots(event) {
+  const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+  return path.filter(
+    (node) => node instanceof ShadowRoot && node.mode === "open" && node !== shadowRoot
+  );
+}
+
+function rememberSelectionShadowRoots(event) {
+  lastSelectionShadowRoots = getEventShadowRoots(event);
+}
+
+// 焦点所在的最内层元素（document.activeElement 在 Shadow DOM 中只能拿到最外层宿主）
+function getDeepActiveElement() {
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot !== shadowRoot && el.shadowRoot.activeElement) {
+    el = el.shadowRoot.activeElement;
+  }
+  return el;
+}
+
+// 坐标处的开放 Shadow Root（由外到内），供 caretPositionFromPoint 穿透 Shadow 边界
+function getShadowRootsAtPoint(x, y) {
+  const roots = [];
+  let el = document.elementFromPoint(x, y);
+  while (el && el.shadowRoot && el.shadowRoot !== shadowRoot) {
+    roots.push(el.shadowRoot);
+    const inner = el.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === el) break;
+    el = inner;
+  }
+  return roots;
+}
+
+// StaticRange → Range（Range 才有 getClientRects / toString）
+// 起止点不在同一棵树中时 setEnd 会把 Range 折叠，此时返回 null
+function toLiveRange(staticRange) {
+  if (!staticRange || staticRange.collapsed) return null;
+  const range = document.createRange();
+  try {
+    range.setStart(staticRange.startContainer, staticRange.startOffset);
+    range.setEnd(staticRange.endContainer, staticRange.endOffset);
+  } catch (e) {
+    return null;
+  }
+  return range.collapsed ? null : range;
+}
+
+function getComposedSelectionRange(selection, roots) {
+  if (!selection || typeof selection.getComposedRanges !== "function") return null;
+  let ranges;
+  try {
+    ranges = selection.getComposedRanges({ shadowRoots: roots });
+  } catch (e) {
+    // 早期实现的签名为 getComposedRanges(...shadowRoots)
+    try {
+      ranges = selection.getComposedRanges(...roots);
+    } catch (err) {
+      return null;
+    }
+  }
+  return ranges && ranges.length > 0 ? toLiveRange(ranges[0]) : null;
+}
+
+// 选区位于开放 Shadow Root 内时返回 { text, range }，否则返回 null（调用方继续使用 document 级选区）
+function getShadowSelection() {
+  const roots = lastSelectionShadowRoots.filter((root) => root.host && root.host.isConnected);
+  if (roots.length === 0) return null;
+
+  let range = getComposedSelectionRange(window.getSelection(), roots);
+  if (!range) {
+    for (const root of roots) {
+      if (typeof root.getSelection !== "function") continue;
+      const selection = root.getSelection();
+      if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+        range = selection.getRangeAt(0);
+        break;
+      }
+    }
+  }
+  if (!range || range.collapsed) return null;
+
+  const text = range.toString();
+  return text.trim() ? { text, range: range.cloneRange() } : null;
+}
+
+// 捕获阶段先于 contentScript.js 的 mouseup / dblclick 处理执行
+document.addEventListener("mouseup", rememberSelectionShadowRoots, true);
+document.addEventListener("keyup", rememberSelectionShadowRoots, true);
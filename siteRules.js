@@ -0,0 +1,149 @@
+// siteRules.js
+// 按网站启用 / 停用划词翻译的规则（内容脚本、选项页、工具栏弹窗共用）
+// - 规则保存在 settings.siteRules 中，按顺序匹配，第一条命中的规则生效
+// - 网址模式支持通配符（* 与 ?）和正则表达式
+// - settings.siteMode 决定没有规则命中时的行为：
+//   blocklist：默认启用（只在规则列出的网站停用或改变触发方式）
+//   allowlist：默认停用（只在规则列出的网站启用）
+
+const SITE_MODES = ["blocklist", "allowlist"];
+const DEFAULT_SITE_MODE = "blocklist";
+
+// 命中规则后的触发方式；default 表示沿用全局设置（双击 + 按设置决定是否划词弹出）
+const SITE_TRIGGERS = {
+  default: "跟随全局设置",
+  dblclick: "仅双击",
+  select: "仅划词",
+  disabled: "停用"
+};
+
+const SITE_PATTERN_KINDS = {
+  glob: "通配符",
+  regex: "正则表达式"
+};
+
+// 编译后的正则缓存（每次鼠标事件都会匹配规则）
+const siteRegexCache = new Map();
+
+function createSiteRuleId() {
+  return "rule-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 7);
+}
+
+// 清洗存储中的规则列表，丢弃无效项
+function normalizeSiteRules(raw) {
+  if (!Array.isArray(raw)) return [];
+  const result = [];
+  for (const item of raw) {
+    if (!item || typeof item.pattern !== "string" || !item.pattern.trim()) continue;
+    const kind = SITE_PATTERN_KINDS[item.kind] ? item.kind : "glob";
+    const rule = {
+      id: typeof item.id === "string" && item.id ? item.id : createSiteRuleId(),
+      pattern: item.pattern.trim(),
+      kind,
+      trigger: SITE_TRIGGERS[item.trigger] ? item.trigger : "disabled"
+    };
+    if (kind === "regex" && !compileSiteRegex(rule.pattern)) continue;
+    result.push(rule);
+  }
+  return result;
+}
+
+function normalizeSiteMode(raw) {
+  return SITE_MODES.includes(raw) ? raw : DEFAULT_SITE_MODE;
+}
+
+function compileSiteRegex(pattern) {
+  const key = "regex:" + pattern;
+  if (siteRegexCache.has(key)) return siteRegexCache.get(key);
+  let re = null;
+  try {
+    re = new RegExp(pattern, "i");
+  } catch (e) {
+    re = null;
+  }
+  siteRegexCache.set(key, re);
+  return re;
+}
+
+// 通配符 → 正则：* 匹配任意字符，? 匹配单个字符，其余按字面匹配
+function globToRegExp(glob) {
+  const key = "glob:" + glob;
+  if (siteRegexCache.has(key)) return siteRegexCache.get(key);
+  const source = glob
+    .split("")
+    .map((ch) => {
+      if (ch === "*") return ".*";
+      if (ch === "?") return ".";
+      return ch.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+    })
+    .join("");
+  const re = new RegExp("^" + source + "$", "i");
+  siteRegexCache.set(key, re);
+  return re;
+}
+
+// 判断网址是否命中规则
+// 通配符写法：
+// - 含 "://" 时匹配完整网址，如 https://docs.google.com/spreadsheets/*
+// - 含 "/" 时匹配“主机名 + 路径”，如 github.com/*/edit/*
+// - 否则只匹配主机名，如 *.figma.com（同时匹配 figma.com 本身）
+function matchSiteRule(rule, url) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  if (rule.kind === "regex") {
+    const re = compileSiteRegex(rule.pattern);
+    return !!re && re.test(url);
+  }
+
+  const pattern = rule.pattern;
+  if (pattern.includes("://")) {
+    return globToRegExp(pattern).test(url);
+  }
+  if (pattern.includes("/")) {
+    return globToRegExp(pattern).test(parsed.host + parsed.pathname + parsed.search);
+  }
+  if (pattern.startsWith("*.") && parsed.hostname === pattern.slice(2).toLowerCase()) {
+    return true;
+  }
+  return globToRegExp(pattern).test(parsed.hostname);
+}
+
+function findMatchingSiteRule(url, rules) {
+  for (const rule of rules || []) {
+    if (matchSiteRule(rule, url)) return rule;
+  }
+  return null;
+}
+
+// 返回网址对应的触发方式：default | dblclick | select | disabled
+function resolveSiteTrigger(url, settings) {
+  const rule = findMatchingSiteRule(url, settings.siteRules);
+  if (rule) return rule.trigger;
+  return settings.siteMode === "allowlist" ? "disabled" : "default";
+}
+
+// 工具栏“在此网站启用 / 停用”：返回新的规则列表
+// 先移除该主机名的精确规则，再在最前面插入一条，保证优先生效
+function toggleSiteRule(url, settings) {
+  const hostname = new URL(url).hostname;
+  const enable = resolveSiteTrigger(url, settings) === "disabled";
+  const rules = (settings.siteRules || []).filter(
+    (r) => !(r.kind === "glob" && r.pattern.toLowerCase() === hostname.toLowerCase())
+  );
+  const next = [{ id: createSiteRuleId(), pattern: hostname, kind: "glob", trigger: "disabled" }]
+    .concat(rules);
+
+  if (enable) {
+    // 去掉精确规则后若已恢复启用（黑名单模式下最常见），无需额外规则
+    if (resolveSiteTrigger(url, { ...settings, siteRules: rules }) !== "disabled") {
+      return rules;
+    }
+    next[0].trigger = "default";
+  }
+  return next;
+}
@@ -0,0 +1,99 @@
+// srs.js
+// 间隔重复调度（SM-2 变体），供 background 与复习页面共用
+// 复习状态保存在生词本条目的 review 字段：
+// { ease, interval, repetitions, due, lastReviewedAt }
+// - interval 单位为天；due 为下次到期的毫秒时间戳
+// - 尚未复习过的条目 review 为 null，视为立即到期
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 回答“重来”后在本轮中再次出现的间隔
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// 复习页面上的四档评分与 SM-2 质量分（0~5）的对应关系
+const REVIEW_GRADES = [
+  { key: "again", label: "重来", quality: 1 },
+  { key: "hard", label: "困难", quality: 3 },
+  { key: "good", label: "良好", quality: 4 },
+  { key: "easy", label: "简单", quality: 5 }
+];
+
+function createReviewState(now) {
+  return {
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    due: typeof now === "number" ? now : Date.now(),
+    lastReviewedAt: null
+  };
+}
+
+function isReviewDue(entry, now) {
+  const t = typeof now === "number" ? now : Date.now();
+  const review = entry && entry.review;
+  if (!review || typeof review.due !== "number") return true;
+  return review.due <= t;
+}
+
+function countDueEntries(entries, now) {
+  if (!Array.isArray(entries)) return 0;
+  return entries.filter((e) => isReviewDue(e, now)).length;
+}
+
+// 根据评分计算新的复习状态，不修改入参
+function gradeReviewState(state, quality, now) {
+  const t = typeof now === "number" ? now : Date.now();
+  const prev = state || createReviewState(t);
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+
+  let ease = prev.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  if (ease < MIN_EASE) ease = MIN_EASE;
+
+  let repetitions;
+  let interval;
+  let due;
+
+  if (q < 3) {
+    // 回答错误：重置连续正确次数，稍后在本轮中再次出现
+    repetitions = 0;
+    interval = 0;
+    due = t + RELEARN_DELAY_MS;
+  } else {
+    repetitions = prev.repetitions + 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(Math.max(1, prev.interval) * ease);
+    }
+    // “困难”时适当缩短间隔
+    if (q === 3 && repetitions > 2) {
+      interval = Math.max(1, Math.round(interval * 0.8));
+    }
+    due = t + interval * DAY_MS;
+  }
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    due,
+    lastReviewedAt: t
+  };
+}
+
+// 复习页面按钮上显示的下次间隔，例如 "10 分钟" / "6 天"
+function describeReviewInterval(state, quality, now) {
+  const t = typeof now === "number" ? now : Date.now();
+  const next = gradeReviewState(state, quality, t);
+  const diff = next.due - t;
+  if (diff < DAY_MS) {
+    return Math.max(1, Math.round(diff / 60000)) + " 分钟";
+  }
+  const days = Math.round(diff / DAY_MS);
+  if (days < 30) return days + " 天";
+  if (days < 365) return Math.round(days / 30) + " 个月";
+  return Math.round((days / 365) * 10) / 10 + " 年";
+}
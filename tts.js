@@ -0,0 +1,143 @@
+// tts.js
+// 发音：优先使用 Web Speech API TTS，失败时回退到字典音频
+// 内容脚本与扩展页面（复习页等）共用，调用方传入语速与音色偏好
+
+const speechSupported =
+  typeof window !== "undefined" &&
+  "speechSynthesis" in window &&
+  typeof window.SpeechSynthesisUtterance === "function";
+
+let voices = [];
+let voicesLoaded = false;
+
+// 音频回退元素（播放字典音频）
+let audioElement = null;
+
+function initVoices() {
+  if (!speechSupported) return;
+
+  function loadVoices() {
+    const list = window.speechSynthesis.getVoices();
+    if (Array.isArray(list) && list.length > 0) {
+      voices = list;
+      voicesLoaded = true;
+    }
+  }
+
+  loadVoices();
+
+  // 某些浏览器需要等待 voiceschanged 事件才有语音列表
+  window.speechSynthesis.onvoiceschanged = () => {
+    loadVoices();
+  };
+}
+
+// lang 为目标朗读语言（BCP 47），非英文时忽略英语音色偏好
+function getPreferredVoice(voicePref, lang) {
+  if (!voicesLoaded || !voices.length) return null;
+
+  const pref = voicePref || "auto";
+  const base = (lang || "en").split("-")[0].toLowerCase();
+
+  const candidates = [];
+  if (base !== "en") {
+    candidates.push((v) => v.lang === lang);
+  } else if (pref === "en-US" || pref === "en-GB") {
+    candidates.push((v) => v.lang === pref);
+  }
+  // 退而求其次：同语种的任意语音
+  candidates.push((v) => v.lang && v.lang.toLowerCase().startsWith(base));
+
+  for (const check of candidates) {
+    const voice = voices.find(check);
+    if (voice) return voice;
+  }
+
+  return null;
+}
+
+// 停止当前所有语音播放，避免残留朗读
+function stopSpeaking() {
+  if (!speechSupported) return;
+  try {
+    window.speechSynthesis.cancel();
+  } catch (e) {
+    console.warn("停止语音朗读失败", e);
+  }
+}
+
+// 朗读文本
+// options: { rate, voice: "auto" | "en-US" | "en-GB", lang: 朗读语言（默认英文）, audio: 字典音频 URL（回退用） }
+function speakText(text, options) {
+  const opts = options || {};
+  if (!text) return;
+
+  // 针对全大写缩略词（2~10 位），按字母逐个朗读
+  let utteranceText = text;
+  if (/^[A-Z]{2,10}$/.test(text)) {
+    utteranceText = text.split("").join(" ");
+  }
+
+  // 优先尝试 Web Speech API TTS
+  if (speechSupported) {
+    try {
+      const utterance = new window.SpeechSynthesisUtterance(utteranceText);
+      const rate =
+        typeof opts.rate === "number" && !Number.isNaN(opts.rate)
+          ? opts.rate
+          : 1.0;
+      utterance.rate = rate;
+
+      const isEnglish = !opts.lang || opts.lang.toLowerCase().startsWith("en");
+      const preferredVoice = getPreferredVoice(opts.voice, opts.lang);
+      if (preferredVoice) {
+        utterance.voice = preferredVoice;
+        if (preferredVoice.lang) {
+          utterance.lang = preferredVoice.lang;
+        }
+      } else if (isEnglish) {
+        // 没有匹配到时，按设置大类选择
+        utterance.lang = opts.voice === "en-GB" ? "en-GB" : "en-US";
+      } else {
+        utterance.lang = opts.lang;
+      }
+
+      utterance.onerror = (event) => {
+        console.warn("TTS 播放出错，尝试回退到字典音频", event);
+        if (opts.audio) {
+          playDictionaryAudio(opts.audio);
+        }
+      };
+
+      // 若已有语音播放，先取消以避免重叠
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(utterance);
+      return;
+    } catch (e) {
+      console.warn("TTS 调用失败，尝试回退到字典音频", e);
+    }
+  }
+
+  // 回退到字典音频
+  if (opts.audio) {
+    playDictionaryAudio(opts.audio);
+  } else {
+    console.warn("无可用音频用于播放");
+  }
+}
+
+function playDictionaryAudio(url) {
+  try {
+    if (!audioElement) {
+      audioElement = document.createElement("audio");
+      audioElement.style.display = "none";
+      document.documentElement.appendChild(audioElement);
+    }
+    audioElement.src = url;
+    audioElement.play().catch((err) => {
+      console.warn("播放字典音频失败", err);
+    });
+  } catch (e) {
+    console.warn("创建/播放音频元素失败", e);
+  }
+}
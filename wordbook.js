@@ -0,0 +1,394 @@
+// wordbook.js
+// 生词本页面：列出、搜索、排序、编辑和删除已收藏的查询结果
+// 并可将当前列表导出为 Anki / CSV / JSON / Markdown（格式见 wordbookExport.js），或从 JSON 导入恢复
+
+// Anki 字段对应保存在 chrome.storage.local 中
+const ANKI_MAPPING_STORAGE_KEY = "ankiFieldMapping";
+
+let allEntries = [];
+// 正在编辑的条目 id（同一时间只编辑一条）
+let editingId = null;
+let ankiFields = DEFAULT_ANKI_FIELD_MAPPING.slice();
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function formatDate(ts) {
+  const d = new Date(ts);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    d.getFullYear() +
+    "-" +
+    pad(d.getMonth() + 1) +
+    "-" +
+    pad(d.getDate()) +
+    " " +
+    pad(d.getHours()) +
+    ":" +
+    pad(d.getMinutes())
+  );
+}
+
+function getVisibleEntries() {
+  const keyword = $("search").value.trim().toLowerCase();
+  const sort = $("sort").value;
+
+  let list = allEntries;
+  if (keyword) {
+    list = list.filter((e) =>
+      [e.text, e.translation, e.note].some(
+        (field) => field && field.toLowerCase().includes(keyword)
+      )
+    );
+  }
+
+  list = list.slice();
+  switch (sort) {
+    case "oldest":
+      list.sort((a, b) => a.createdAt - b.createdAt);
+      break;
+    case "alpha":
+      list.sort((a, b) =>
+        a.text.localeCompare(b.text, "en", { sensitivity: "base" })
+      );
+      break;
+    case "updated":
+      list.sort((a, b) => b.updatedAt - a.updatedAt);
+      break;
+    case "newest":
+    default:
+      list.sort((a, b) => b.createdAt - a.createdAt);
+      break;
+  }
+  return list;
+}
+
+function createButton(label, className, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  if (className) btn.className = className;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function renderEntry(entry) {
+  const item = document.createElement("div");
+  item.className = "entry";
+
+  const head = document.createElement("div");
+  head.className = "entry-head";
+
+  const text = document.createElement("span");
+  text.className = "entry-text";
+  text.textContent = entry.text;
+  head.appendChild(text);
+
+  if (entry.ipa) {
+    const ipa = document.createElement("span");
+    ipa.className = "entry-ipa";
+    ipa.textContent = entry.ipa;
+    head.appendChild(ipa);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "entry-actions";
+  head.appendChild(actions);
+  item.appendChild(head);
+
+  if (editingId === entry.id) {
+    const translationInput = document.createElement("textarea");
+    translationInput.rows = 2;
+    translationInput.value = entry.translation;
+    translationInput.placeholder = "翻译";
+
+    const noteInput = document.createElement("textarea");
+    noteInput.rows = 2;
+    noteInput.value = entry.note;
+    noteInput.placeholder = "备注（可选）";
+
+    item.appendChild(translationInput);
+    item.appendChild(noteInput);
+
+    actions.appendChild(
+      createButton("保存", "", () => {
+        updateWordbookEntry(entry.id, {
+          translation: translationInput.value.trim(),
+          note: noteInput.value.trim()
+        })
+          .then(() => {
+            editingId = null;
+            return refresh();
+          })
+          .catch((err) => {
+            console.error("保存生词失败", err);
+            alert("保存失败：" + err.message);
+          });
+      })
+    );
+    actions.appendChild(
+      createButton("取消", "secondary", () => {
+        editingId = null;
+        render();
+      })
+    );
+  } else {
+    const translation = document.createElement("div");
+    translation.className = "entry-translation";
+    translation.textContent = entry.translation || "(无翻译结果)";
+    item.appendChild(translation);
+
+    if (entry.context) {
+      const context = document.createElement("div");
+      context.className = "entry-context";
+      context.textContent = entry.context;
+      if (entry.contextTranslation) {
+        const contextTranslation = document.createElement("div");
+        contextTranslation.textContent = entry.contextTranslation;
+        context.appendChild(contextTranslation);
+      }
+      item.appendChild(context);
+    }
+
+    if (entry.note) {
+      const note = document.createElement("div");
+      note.className = "entry-note";
+      note.textContent = "备注：" + entry.note;
+      item.appendChild(note);
+    }
+
+    actions.appendChild(
+      createButton("编辑", "secondary", () => {
+        editingId = entry.id;
+        render();
+      })
+    );
+    actions.appendChild(
+      createButton("删除", "danger", () => {
+        if (!confirm("确定从生词本中删除“" + entry.text + "”吗？")) return;
+        deleteWordbookEntry(entry.id)
+          .then(() => refresh())
+          .catch((err) => {
+            console.error("删除生词失败", err);
+          });
+      })
+    );
+  }
+
+  const meta = document.createElement("div");
+  meta.className = "entry-meta";
+  const parts = [formatDate(entry.createdAt)];
+  if (entry.provider) parts.push("翻译来源：" + entry.provider);
+  meta.textContent = parts.join(" · ");
+  if (entry.url) {
+    meta.appendChild(document.createTextNode(" · "));
+    const link = document.createElement("a");
+    link.href = entry.url;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = entry.title || entry.url;
+    meta.appendChild(link);
+  }
+  item.appendChild(meta);
+
+  return item;
+}
+
+function render() {
+  const list = getVisibleEntries();
+  const container = $("list");
+  container.textContent = "";
+
+  $("count").textContent =
+    "共 " + allEntries.length + " 条" +
+    (list.length !== allEntries.length ? "，匹配 " + list.length + " 条" : "");
+
+  if (list.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "empty";
+    empty.textContent = allEntries.length
+      ? "没有匹配的生词"
+      : "生词本为空。在网页浮层中点击“加入生词本”即可收藏。";
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const entry of list) {
+    container.appendChild(renderEntry(entry));
+  }
+}
+
+function setExportStatus(text, isError) {
+  const status = $("exportStatus");
+  status.textContent = text;
+  status.style.color = isError ? "#b91c1c" : "#059669";
+}
+
+function renderExportFormats() {
+  for (const id of Object.keys(EXPORT_FORMATS)) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = EXPORT_FORMATS[id].name;
+    $("exportFormat").appendChild(option);
+  }
+}
+
+function renderAnkiFields() {
+  $("ankiMapping").classList.toggle("hidden", $("exportFormat").value !== "anki");
+  const container = $("ankiFields");
+  container.textContent = "";
+
+  ankiFields.forEach((field, index) => {
+    const row = document.createElement("div");
+    row.className = "anki-field";
+
+    const label = document.createElement("span");
+    label.textContent = "第 " + (index + 1) + " 列";
+
+    const select = document.createElement("select");
+    for (const key of Object.keys(EXPORT_FIELDS)) {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = EXPORT_FIELDS[key];
+      select.appendChild(option);
+    }
+    select.value = field;
+    select.addEventListener("change", () => {
+      ankiFields[index] = select.value;
+      saveAnkiFields();
+    });
+
+    row.appendChild(label);
+    row.appendChild(select);
+    if (ankiFields.length > 1) {
+      row.appendChild(
+        createButton("移除", "secondary", () => {
+          ankiFields.splice(index, 1);
+          saveAnkiFields();
+          renderAnkiFields();
+        })
+      );
+    }
+    container.appendChild(row);
+  });
+}
+
+function loadAnkiFields() {
+  chrome.storage.local.get(ANKI_MAPPING_STORAGE_KEY, (result) => {
+    if (chrome.runtime.lastError) {
+      console.warn("读取 Anki 字段对应失败", chrome.runtime.lastError);
+    }
+    ankiFields = normalizeAnkiFieldMapping(result && result[ANKI_MAPPING_STORAGE_KEY]);
+    renderAnkiFields();
+  });
+}
+
+function saveAnkiFields() {
+  chrome.storage.local.set({ [ANKI_MAPPING_STORAGE_KEY]: ankiFields }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn("保存 Anki 字段对应失败", chrome.runtime.lastError);
+    }
+  });
+}
+
+function downloadFile(content, filename, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime + ";charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 导出当前列表（保留搜索与排序结果）
+function exportEntries() {
+  const list = getVisibleEntries();
+  if (list.length === 0) {
+    setExportStatus("当前列表为空，没有可导出的生词", true);
+    return;
+  }
+
+  const format = $("exportFormat").value;
+  const info = EXPORT_FORMATS[format];
+  const content = exportWordbook(list, format, { ankiFields });
+  const date = formatDate(Date.now()).slice(0, 10).replace(/-/g, "");
+  downloadFile(content, "wordbook-" + date + "." + info.extension, info.mime);
+  setExportStatus("已导出 " + list.length + " 条（" + info.name + "）", false);
+}
+
+function importEntries(file) {
+  file
+    .text()
+    .then((text) => importWordbookEntries(parseWordbookJson(text)))
+    .then((result) => {
+      setExportStatus(
+        "导入完成：新增 " +
+          result.added +
+          " 条，更新 " +
+          result.updated +
+          " 条，跳过 " +
+          result.skipped +
+          " 条（已有且不比现有数据新）",
+        false
+      );
+      return refresh();
+    })
+    .catch((err) => {
+      console.error("导入生词失败", err);
+      setExportStatus("导入失败：" + err.message, true);
+    });
+}
+
+function refresh() {
+  return loadWordbook().then((entries) => {
+    allEntries = entries;
+    render();
+  });
+}
+
+function bindEvents() {
+  $("search").addEventListener("input", () => {
+    render();
+  });
+  $("sort").addEventListener("change", () => {
+    render();
+  });
+  $("exportFormat").addEventListener("change", () => {
+    renderAnkiFields();
+  });
+  $("addAnkiField").addEventListener("click", () => {
+    ankiFields.push("note");
+    saveAnkiFields();
+    renderAnkiFields();
+  });
+  $("export").addEventListener("click", () => {
+    exportEntries();
+  });
+  $("import").addEventListener("click", () => {
+    $("importFile").click();
+  });
+  $("importFile").addEventListener("change", () => {
+    const file = $("importFile").files[0];
+    // 清空选择，便于再次导入同一文件
+    $("importFile").value = "";
+    if (file) importEntries(file);
+  });
+
+  // 其他页面（浮层）新增生词时同步刷新；编辑中不打断用户输入
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[WORDBOOK_STORAGE_KEY] && !editingId) {
+      refresh();
+    }
+  });
+}
+
+window.addEventListener("DOMContentLoaded", () => {
+  renderExportFormats();
+  bindEvents();
+  loadAnkiFields();
+  refresh();
+});
@@ -0,0 +1,156 @@
+// wordbookExport.js
+// 生词本导出 / 导入格式（生词本页面使用，依赖 wordbookStore.js）
+// - Anki：制表符分隔的 TSV，每列对应 Anki 笔记的一个字段，列与生词字段的对应关系可配置
+// - CSV（带 BOM，Excel 可直接打开）、JSON（完整数据，可再导入恢复）、Markdown 表格
+// 所有导出函数只做格式转换，返回字符串；下载与文件读取由页面负责
+
+const WORDBOOK_EXPORT_FORMAT = "dtp-wordbook";
+const WORDBOOK_EXPORT_VERSION = 1;
+
+// 可导出的字段与列名
+const EXPORT_FIELDS = {
+  text: "原文",
+  translation: "翻译",
+  ipa: "音标",
+  audio: "发音音频",
+  context: "例句",
+  contextTranslation: "例句翻译",
+  url: "来源网址",
+  title: "来源标题",
+  note: "备注",
+  date: "日期"
+};
+
+// Anki 默认字段对应：正面为原文，背面为翻译，其余作为附加字段
+const DEFAULT_ANKI_FIELD_MAPPING = ["text", "translation", "ipa", "context", "contextTranslation", "url"];
+
+// 各格式的文件扩展名与 MIME 类型
+const EXPORT_FORMATS = {
+  anki: { name: "Anki（TSV）", extension: "tsv", mime: "text/tab-separated-values" },
+  csv: { name: "CSV", extension: "csv", mime: "text/csv" },
+  json: { name: "JSON（可导入恢复）", extension: "json", mime: "application/json" },
+  markdown: { name: "Markdown 表格", extension: "md", mime: "text/markdown" }
+};
+
+function formatExportDate(ts) {
+  const d = new Date(ts);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate()) +
+    " " + pad(d.getHours()) + ":" + pad(d.getMinutes())
+  );
+}
+
+function getExportFieldValue(entry, field) {
+  if (field === "date") return formatExportDate(entry.createdAt);
+  const value = entry[field];
+  return value === null || value === undefined ? "" : String(value);
+}
+
+// 清洗字段映射，丢弃未知字段；为空时使用默认映射
+function normalizeAnkiFieldMapping(raw) {
+  const list = Array.isArray(raw) ? raw.filter((f) => EXPORT_FIELDS[f]) : [];
+  return list.length > 0 ? list : DEFAULT_ANKI_FIELD_MAPPING.slice();
+}
+
+// Anki 按 HTML 解析字段，原文中的 < > & 需要转义
+function escapeHtml(value) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Anki 导入文本文件：制表符分隔，文件头声明分隔符与列名（Anki 2.1.54+ 支持）
+// 字段内的制表符与换行会破坏列结构，统一替换为空格 / <br>
+function toAnkiTsv(entries, mapping) {
+  const fields = normalizeAnkiFieldMapping(mapping);
+  const clean = (value) => value.replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+  const lines = [
+    "#separator:tab",
+    "#html:true",
+    "#columns:" + fields.map((f) => EXPORT_FIELDS[f]).join("\t")
+  ];
+  for (const entry of entries) {
+    lines.push(fields.map((f) => clean(escapeHtml(getExportFieldValue(entry, f)))).join("\t"));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// CSV：含逗号、引号或换行的字段用双引号包裹，引号写两次（RFC 4180）
+function toCsv(entries) {
+  const fields = Object.keys(EXPORT_FIELDS);
+  const quote = (value) => (/[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value);
+  const lines = [fields.map((f) => quote(EXPORT_FIELDS[f])).join(",")];
+  for (const entry of entries) {
+    lines.push(fields.map((f) => quote(getExportFieldValue(entry, f))).join(","));
+  }
+  // BOM 让 Excel 按 UTF-8 识别中文
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// JSON：保留完整条目（含复习进度），用于备份与恢复
+function toWordbookJson(entries) {
+  return JSON.stringify(
+    {
+      format: WORDBOOK_EXPORT_FORMAT,
+      version: WORDBOOK_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries
+    },
+    null,
+    2
+  );
+}
+
+function toMarkdown(entries) {
+  const fields = ["text", "ipa", "translation", "context", "url", "date"];
+  const cell = (value) => value.replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+  const lines = [
+    "| " + fields.map((f) => EXPORT_FIELDS[f]).join(" | ") + " |",
+    "| " + fields.map(() => "---").join(" | ") + " |"
+  ];
+  for (const entry of entries) {
+    lines.push("| " + fields.map((f) => cell(getExportFieldValue(entry, f))).join(" | ") + " |");
+  }
+  return lines.join("\n") + "\n";
+}
+
+// 按格式导出；options.ankiFields 为 Anki 列对应的字段列表
+function exportWordbook(entries, format, options) {
+  switch (format) {
+    case "anki":
+      return toAnkiTsv(entries, options && options.ankiFields);
+    case "csv":
+      return toCsv(entries);
+    case "json":
+      return toWordbookJson(entries);
+    case "markdown":
+      return toMarkdown(entries);
+    default:
+      throw new Error("不支持的导出格式：" + format);
+  }
+}
+
+// 解析导出的 JSON（也接受直接的条目数组），返回规范化后的条目；格式不对时抛出异常
+function parseWordbookJson(text) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("文件不是有效的 JSON");
+  }
+
+  const list = Array.isArray(data) ? data : data && data.entries;
+  if (!Array.isArray(list)) {
+    throw new Error("文件中没有生词数据");
+  }
+  if (data && data.format && data.format !== WORDBOOK_EXPORT_FORMAT) {
+    throw new Error("不是生词本导出的文件");
+  }
+  if (data && data.version > WORDBOOK_EXPORT_VERSION) {
+    throw new Error("文件来自更新版本的扩展，请先升级");
+  }
+
+  return list
+    .filter((item) => item && typeof item.text === "string" && item.text.trim())
+    .map((item) => normalizeWordbookEntry(item));
+}
@@ -0,0 +1,210 @@
+// wordbookStore.js
+// 生词本存储：background（importScripts）与生词本页面共用
+// 数据保存在 chrome.storage.local 的 "wordbook" 键下，结构为条目数组：
+// { id, text, translation, provider, ipa, audio, context, contextTranslation, url, title, note, createdAt, updatedAt, review }
+// context 为查词时单词所在的句子，contextTranslation 为其译文
+// review 为间隔复习状态（见 srs.js），未复习过时为 null
+
+const WORDBOOK_STORAGE_KEY = "wordbook";
+
+// 以小写、去首尾空白后的原文作为去重依据
+function getWordbookKey(text) {
+  return String(text || "").trim().toLowerCase();
+}
+
+function createWordbookId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function pickEntryString(value) {
+  return typeof value === "string" ? value : "";
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// 逐项校验复习状态（结构见 srs.js），任一字段无效时视为未复习过，返回 null
+function normalizeReviewState(review) {
+  if (!review || typeof review !== "object") return null;
+  const { ease, interval, repetitions, due, lastReviewedAt } = review;
+  if (
+    !isFiniteNumber(ease) ||
+    ease <= 0 ||
+    !isFiniteNumber(interval) ||
+    interval < 0 ||
+    !Number.isInteger(repetitions) ||
+    repetitions < 0 ||
+    !isFiniteNumber(due) ||
+    (lastReviewedAt !== null && !isFiniteNumber(lastReviewedAt))
+  ) {
+    return null;
+  }
+  return { ease, interval, repetitions, due, lastReviewedAt };
+}
+
+// 所有字段按预期类型整理（导入的 JSON 可能含有任意值）
+function normalizeWordbookEntry(raw) {
+  const now = Date.now();
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : createWordbookId(),
+    text: pickEntryString(raw.text).trim(),
+    translation: pickEntryString(raw.translation),
+    provider: pickEntryString(raw.provider),
+    ipa: pickEntryString(raw.ipa) || null,
+    audio: pickEntryString(raw.audio) || null,
+    context: pickEntryString(raw.context),
+    contextTranslation: pickEntryString(raw.contextTranslation),
+    url: pickEntryString(raw.url),
+    title: pickEntryString(raw.title),
+    note: pickEntryString(raw.note),
+    createdAt: isFiniteNumber(raw.createdAt) ? raw.createdAt : now,
+    updatedAt: isFiniteNumber(raw.updatedAt) ? raw.updatedAt : now,
+    review: normalizeReviewState(raw.review)
+  };
+}
+
+function loadWordbook() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(WORDBOOK_STORAGE_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn("读取生词本失败", chrome.runtime.lastError);
+        resolve([]);
+        return;
+      }
+      const list = result[WORDBOOK_STORAGE_KEY];
+      resolve(Array.isArray(list) ? list : []);
+    });
+  });
+}
+
+function saveWordbook(entries) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [WORDBOOK_STORAGE_KEY]: entries }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// 加入生词本：同一原文已存在时更新翻译等字段并保留原有备注与创建时间
+async function addWordbookEntry(data) {
+  const text = String((data && data.text) || "").trim();
+  if (!text) {
+    throw new Error("原文为空，无法加入生词本");
+  }
+
+  const entries = await loadWordbook();
+  const key = getWordbookKey(text);
+  const index = entries.findIndex((e) => getWordbookKey(e.text) === key);
+
+  if (index >= 0) {
+    const existing = entries[index];
+    const merged = normalizeWordbookEntry({
+      ...existing,
+      translation: data.translation || existing.translation,
+      provider: data.provider || existing.provider,
+      ipa: data.ipa || existing.ipa,
+      audio: data.audio || existing.audio,
+      context: data.context || existing.context,
+      contextTranslation: data.context ? data.contextTranslation : existing.contextTranslation,
+      url: data.url || existing.url,
+      title: data.title || existing.title,
+      updatedAt: Date.now()
+    });
+    entries[index] = merged;
+    await saveWordbook(entries);
+    return { entry: merged, created: false };
+  }
+
+  const entry = normalizeWordbookEntry({
+    text,
+    translation: data.translation,
+    provider: data.provider,
+    ipa: data.ipa,
+    audio: data.audio,
+    context: data.context,
+    contextTranslation: data.contextTranslation,
+    url: data.url,
+    title: data.title,
+    createdAt: typeof data.timestamp === "number" ? data.timestamp : Date.now()
+  });
+  entries.push(entry);
+  await saveWordbook(entries);
+  return { entry, created: true };
+}
+
+async function updateWordbookEntry(id, patch) {
+  const entries = await loadWordbook();
+  const index = entries.findIndex((e) => e.id === id);
+  if (index < 0) {
+    throw new Error("生词不存在");
+  }
+
+  const updated = normalizeWordbookEntry({
+    ...entries[index],
+    ...patch,
+    id,
+    updatedAt: Date.now()
+  });
+  entries[index] = updated;
+  await saveWordbook(entries);
+  return updated;
+}
+
+async function deleteWordbookEntry(id) {
+  const entries = await loadWordbook();
+  const next = entries.filter((e) => e.id !== id);
+  await saveWordbook(next);
+  return entries.length !== next.length;
+}
+
+// 导入（恢复）生词：按原文去重，已存在的条目保留修改时间较新的一份
+// 新增条目的 id 已被其他生词占用时重新生成
+// 返回 { added, updated, skipped }
+async function importWordbookEntries(list) {
+  const entries = await loadWordbook();
+  const indexByKey = new Map(entries.map((e, i) => [getWordbookKey(e.text), i]));
+  const usedIds = new Set(entries.map((e) => e.id));
+  const result = { added: 0, updated: 0, skipped: 0 };
+
+  for (const raw of list) {
+    const entry = normalizeWordbookEntry(raw && typeof raw === "object" ? raw : {});
+    const key = getWordbookKey(entry.text);
+    if (!key) {
+      result.skipped += 1;
+      continue;
+    }
+    if (!indexByKey.has(key)) {
+      while (usedIds.has(entry.id)) {
+        entry.id = createWordbookId();
+      }
+      usedIds.add(entry.id);
+      indexByKey.set(key, entries.length);
+      entries.push(entry);
+      result.added += 1;
+      continue;
+    }
+    const index = indexByKey.get(key);
+    if (entry.updatedAt > entries[index].updatedAt) {
+      // 沿用现有 id，避免同一生词出现两个 id
+      entries[index] = { ...entry, id: entries[index].id };
+      result.updated += 1;
+    } else {
+      result.skipped += 1;
+    }
+  }
+
+  await saveWordbook(entries);
+  return result;
+}
+
+async function findWordbookEntry(text) {
+  const key = getWordbookKey(text);
+  if (!key) return null;
+  const entries = await loadWordbook();
+  return entries.find((e) => getWordbookKey(e.text) === key) || null;
+}